@@ -21,7 +21,8 @@ module.exports = {
         'config/**/*.js',
         'tests/dummy/config/**/*.js',
         'test/**/*.js',
-        'lib/**/*.js'
+        'lib/**/*.js',
+        'bin/*'
       ],
       excludedFiles: [
         'addon/**',
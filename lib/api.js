@@ -0,0 +1,105 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const debug = require('debug')('ember-try:api');
+const filterScenarios = require('./utils/filter-scenarios');
+const findByName = require('./utils/find-by-name');
+const validateConfig = require('./utils/validate-config');
+
+const SILENT_UI = { writeLine() {} };
+
+/*
+  Runs scenarios from Node, for tools that drive ember-try themselves. The
+  `ember try:*` commands and the `ember-try` executable are built on top of it.
+
+  Options:
+
+  - `root`: the project root, defaults to the current directory
+  - `configPath`: the config file, relative to the root
+  - `config`: an already loaded config, instead of reading `configPath`
+  - `scenarios`: the names of the scenarios to run, defaults to all of them
+  - `filter`, `exclude` and `tags`: select scenarios, as the CLI options do
+  - `command`: the command to run as a list of arguments, instead of the config's
+  - `shell`: whether to run commands given as a list of arguments in a shell,
+    as the `--shell` option does
+  - `skipCleanup`, `parallel`, `failFast`, `dryRun`, `reportJson`, `reporter`
+    and `output`: as the CLI options
+  - `ui`: an object with a `writeLine` method for the output, which is
+    discarded by default
+  - `events`: an `EventEmitter` that the lifecycle events are emitted on
+
+  Resolves with the `exitCode` the CLI would exit with, and the `results` of
+  the scenarios, which are also the `result` of the `scenario:end` events. The
+  JSON report is made from them, but is shaped differently.
+*/
+async function runScenarios(options) {
+  options = options || {};
+
+  let project = options.project || projectAt(options.root || process.cwd());
+  let config =
+    options.config ||
+    (await require('./utils/config')({
+      project,
+      configPath: options.configPath,
+    }));
+
+  debug('Config: %s', JSON.stringify(config));
+
+  validateConfig(config);
+
+  let TryEachTask = options._TryEachTask || require('./tasks/try-each');
+  let tryEachTask = new TryEachTask({
+    ui: options.ui || SILENT_UI,
+    project,
+    config,
+    commandArgs: options.command,
+    shell: options.shell,
+    events: options.events,
+  });
+
+  let exitCode = await tryEachTask.run(selectScenarios(config, options), {
+    skipCleanup: options.skipCleanup,
+    parallel: options.parallel,
+    failFast: options.failFast,
+    reportJson: options.reportJson,
+    reporter: options.reporter,
+    output: options.output,
+    dryRun: options.dryRun,
+  });
+
+  return { exitCode, results: tryEachTask.results || [] };
+}
+
+function projectAt(root) {
+  let packageJSONFile = path.join(root, 'package.json');
+
+  return { root, pkg: fs.existsSync(packageJSONFile) ? fs.readJsonSync(packageJSONFile) : {} };
+}
+
+function selectScenarios(config, options) {
+  let scenarios = config.scenarios;
+
+  if (options.scenarios) {
+    scenarios = options.scenarios.map((scenario) => {
+      if (typeof scenario !== 'string') {
+        return scenario;
+      }
+
+      let found = findByName(config.scenarios, scenario);
+      if (!found) {
+        throw new Error(`Unknown scenario \`${scenario}\``);
+      }
+
+      return found;
+    });
+  }
+
+  return filterScenarios(scenarios, {
+    filter: options.filter,
+    exclude: options.exclude,
+    tags: options.tags,
+  });
+}
+
+module.exports = { runScenarios };
@@ -0,0 +1,200 @@
+'use strict';
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const debug = require('debug')('ember-try:cli');
+const commands = require('./commands');
+
+// The ember-cli commands, by the name they have in the standalone CLI
+const COMMANDS = {
+  each: commands['try:each'],
+  one: commands['try:one'],
+  ember: commands['try:ember'],
+  config: commands['try:config'],
+  reset: commands['try:reset'],
+  cache: commands['try:cache'],
+};
+
+/*
+  Runs the ember-try commands outside of ember-cli, e.g. in v2 addons and
+  plain Node packages, with `npx ember-try each`. The commands get the same
+  `project` and `ui` objects ember-cli would give them, so they read the same
+  config files.
+
+  Returns the exit code.
+*/
+async function run(argv, options) {
+  let { cwd, ui } = Object.assign({ cwd: process.cwd(), ui: createUI() }, options);
+  let [name, ...args] = argv;
+
+  if (!name || name === 'help' || name === '--help') {
+    ui.writeLine(usage());
+    return 0;
+  }
+
+  let command = COMMANDS[name];
+
+  try {
+    if (!command) {
+      throw new Error(
+        `Unknown command \`${name}\`, expected one of: ${Object.keys(COMMANDS).join(', ')}`
+      );
+    }
+
+    if (args.includes('--help')) {
+      ui.writeLine(commandUsage(name, command));
+      return 0;
+    }
+
+    let { commandOptions, rawArgs } = parseArgs(name, args, command.availableOptions || []);
+    debug('Running %s with %o', command.name, commandOptions);
+
+    let context = Object.assign(Object.create(command), {
+      ui,
+      project: findProject(cwd),
+      _commandLineArguments: () => argv,
+    });
+
+    let exitCode = await context.run(commandOptions, rawArgs);
+
+    return typeof exitCode === 'number' ? exitCode : 0;
+  } catch (e) {
+    ui.writeLine(chalk.red(e.message));
+    return 1;
+  }
+}
+
+function createUI() {
+  return {
+    writeLine(line) {
+      process.stdout.write(`${line}\n`);
+    },
+  };
+}
+
+// Like ember-cli, uses the closest directory with a `package.json` as the
+// project root.
+function findProject(cwd) {
+  let root = path.resolve(cwd);
+
+  while (!fs.existsSync(path.join(root, 'package.json'))) {
+    let parent = path.dirname(root);
+
+    if (parent === root) {
+      throw new Error('ember-try must be run inside a project with a package.json');
+    }
+
+    root = parent;
+  }
+
+  return { root, pkg: fs.readJsonSync(path.join(root, 'package.json')) };
+}
+
+// Parses the options the same way ember-cli does for the `availableOptions` of
+// the commands. Everything after `---` is the command to run, and is left to
+// the commands.
+function parseArgs(name, args, availableOptions) {
+  let commandOptions = {};
+  let rawArgs = [];
+
+  for (let option of availableOptions) {
+    if (option.default !== undefined) {
+      commandOptions[camelize(option.name)] = option.default;
+    }
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    let arg = args[i];
+
+    if (arg === '---') {
+      break;
+    }
+
+    if (!arg.startsWith('--')) {
+      rawArgs.push(arg);
+      continue;
+    }
+
+    let [optionName, value] = arg.slice(2).split(/=(.*)/);
+    let negated = optionName.startsWith('no-');
+    let option = availableOptions.find((option) => option.name === optionName);
+
+    if (!option && negated) {
+      option = availableOptions.find((option) => option.name === optionName.slice(3));
+    }
+
+    if (!option || (negated && option.name !== optionName && option.type !== Boolean)) {
+      throw new Error(`Unknown option \`--${optionName}\` for \`ember-try ${name}\``);
+    }
+
+    if (option.type === Boolean) {
+      let enabled = option.name === optionName;
+
+      if (value !== undefined && value !== 'true' && value !== 'false') {
+        throw new Error(`The \`--${optionName}\` option must be \`true\` or \`false\``);
+      }
+
+      commandOptions[camelize(option.name)] = value === 'false' ? !enabled : enabled;
+      continue;
+    }
+
+    if (value === undefined) {
+      value = args[++i];
+    }
+
+    if (value === undefined || value === '---') {
+      throw new Error(`The \`--${option.name}\` option requires a value`);
+    }
+
+    if (option.type === Number) {
+      value = Number(value);
+
+      if (Number.isNaN(value)) {
+        throw new Error(`The \`--${option.name}\` option must be a number`);
+      }
+    }
+
+    commandOptions[camelize(option.name)] = value;
+  }
+
+  return { commandOptions, rawArgs };
+}
+
+function camelize(name) {
+  return name.replace(/-(\w)/g, (_, char) => char.toUpperCase());
+}
+
+function usage() {
+  let lines = ['Usage: ember-try <command> (...options)', '', 'Commands:'];
+
+  for (let name of Object.keys(COMMANDS)) {
+    let anonymousOptions = (COMMANDS[name].anonymousOptions || []).join(' ');
+    lines.push(`  ${[name, anonymousOptions].filter(Boolean).join(' ')}`);
+  }
+
+  lines.push('', 'Run `ember-try <command> --help` for the options of a command.');
+
+  return lines.join('\n');
+}
+
+function commandUsage(name, command) {
+  let lines = [
+    `Usage: ember-try ${[name].concat(command.anonymousOptions || []).join(' ')} (...options)`,
+    '',
+    command.description,
+  ];
+
+  if (command.availableOptions && command.availableOptions.length) {
+    lines.push('', 'Options:');
+
+    for (let option of command.availableOptions) {
+      let defaultValue = option.default !== undefined ? ` (Default: ${option.default})` : '';
+      lines.push(`  --${option.name}${defaultValue}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = { run, parseArgs };
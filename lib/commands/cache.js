@@ -0,0 +1,43 @@
+'use strict';
+
+const validateConfig = require('../utils/validate-config');
+const debug = require('debug')('ember-try:commands:cache');
+
+module.exports = {
+  name: 'try:cache',
+  description:
+    'Manages the cached installs of scenarios. `list` shows the entries, `prune` removes the ones not used within `--max-age` days and `clear` removes all of them.',
+  works: 'insideProject',
+
+  anonymousOptions: ['<list|prune|clear>'],
+
+  availableOptions: [
+    { name: 'config-path', type: String },
+    { name: 'max-age', type: Number, default: 30 },
+  ],
+
+  _getConfig: require('../utils/config'),
+  _CacheTask: require('../tasks/cache'),
+
+  async run(commandOptions, rawArgs) {
+    let action = rawArgs[0] || 'list';
+
+    debug('Action: %s', action);
+    debug('Command options:\n', commandOptions);
+
+    let config = await this._getConfig({
+      project: this.project,
+      configPath: commandOptions.configPath,
+    });
+
+    validateConfig(config);
+
+    let cacheTask = new this._CacheTask({
+      ui: this.ui,
+      project: this.project,
+      config,
+    });
+
+    return await cacheTask.run(action, { maxAge: commandOptions.maxAge });
+  },
+};
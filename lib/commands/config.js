@@ -1,5 +1,6 @@
 'use strict';
 
+const validateConfig = require('../utils/validate-config');
 const debug = require('debug')('ember-try:commands:config');
 
 module.exports = {
@@ -16,6 +17,8 @@ module.exports = {
       configPath: commandOptions.configPath,
     });
 
+    validateConfig(config);
+
     this.ui.writeLine(JSON.stringify(config, null, 2));
   },
 };
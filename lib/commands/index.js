@@ -6,4 +6,5 @@ module.exports = {
   'try:one': require('./try-one'),
   'try:ember': require('./try-ember'),
   'try:config': require('./config'),
+  'try:cache': require('./cache'),
 };
@@ -7,6 +7,7 @@ module.exports = {
 
   async run() {
     let config = await require('../utils/config')({ project: this.project });
+    require('../utils/validate-config')(config);
     let ResetTask = require('../tasks/reset');
 
     let resetTask = new ResetTask({
@@ -1,4 +1,6 @@
 'use strict';
+
+const { runScenarios } = require('../api');
 const debug = require('debug')('ember-try:commands:try-each');
 
 module.exports = {
@@ -10,6 +12,15 @@ module.exports = {
   availableOptions: [
     { name: 'skip-cleanup', type: Boolean, default: false },
     { name: 'config-path', type: String },
+    { name: 'report-json', type: String },
+    { name: 'reporter', type: String },
+    { name: 'output', type: String },
+    { name: 'dry-run', type: Boolean, default: false },
+    { name: 'parallel', type: Number, default: 1 },
+    { name: 'fail-fast', type: Boolean, default: false },
+    { name: 'filter', type: String },
+    { name: 'exclude', type: String },
+    { name: 'tags', type: String },
   ],
 
   _getConfig: require('../utils/config'),
@@ -25,12 +36,23 @@ module.exports = {
 
     debug('Config: %s', JSON.stringify(config));
 
-    let tryEachTask = new this._TryEachTask({
-      ui: this.ui,
+    let { exitCode } = await runScenarios({
       project: this.project,
+      ui: this.ui,
       config,
+      filter: commandOptions.filter,
+      exclude: commandOptions.exclude,
+      tags: commandOptions.tags,
+      skipCleanup: commandOptions.skipCleanup,
+      parallel: commandOptions.parallel,
+      failFast: commandOptions.failFast,
+      reportJson: commandOptions.reportJson,
+      reporter: commandOptions.reporter,
+      output: commandOptions.output,
+      dryRun: commandOptions.dryRun,
+      _TryEachTask: this._TryEachTask,
     });
 
-    return await tryEachTask.run(config.scenarios, { skipCleanup: commandOptions.skipCleanup });
+    return exitCode;
   },
 };
@@ -1,6 +1,7 @@
 'use strict';
 
 const findByName = require('../utils/find-by-name');
+const { runScenarios } = require('../api');
 const debug = require('debug')('ember-try:commands:try-one');
 
 module.exports = {
@@ -14,6 +15,11 @@ module.exports = {
   availableOptions: [
     { name: 'skip-cleanup', type: Boolean, default: false },
     { name: 'config-path', type: String },
+    { name: 'report-json', type: String },
+    { name: 'reporter', type: String },
+    { name: 'output', type: String },
+    { name: 'dry-run', type: Boolean, default: false },
+    { name: 'shell', type: Boolean },
   ],
 
   _getConfig: require('../utils/config'),
@@ -57,14 +63,22 @@ module.exports = {
       );
     }
 
-    let tryEachTask = new this._TryEachTask({
-      ui: this.ui,
+    let { exitCode } = await runScenarios({
       project: this.project,
+      ui: this.ui,
       config,
-      commandArgs,
+      scenarios: [scenario],
+      command: commandArgs,
+      shell: commandOptions.shell,
+      skipCleanup: commandOptions.skipCleanup,
+      reportJson: commandOptions.reportJson,
+      reporter: commandOptions.reporter,
+      output: commandOptions.output,
+      dryRun: commandOptions.dryRun,
+      _TryEachTask: this._TryEachTask,
     });
 
-    return await tryEachTask.run([scenario], { skipCleanup: commandOptions.skipCleanup });
+    return exitCode;
   },
 
   _commandLineArguments() {
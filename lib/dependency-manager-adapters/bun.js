@@ -0,0 +1,167 @@
+'use strict';
+
+const CoreObject = require('core-object');
+const fs = require('fs-extra');
+const path = require('path');
+const debug = require('debug')('ember-try:dependency-manager-adapter:bun');
+const {
+  packageJSONForDependencySet,
+  writePackageJSON,
+  packageJSONChanges,
+  installedVersionOf,
+} = require('../utils/package-json');
+
+const PACKAGE_JSON = 'package.json';
+const PACKAGE_JSON_BACKUP = 'package.json.ember-try';
+
+// Bun switched from the binary `bun.lockb` to the text based `bun.lock`, so
+// projects can have either. Unlike `package.json.ember-try`, their backups
+// keep the extension last, as the pnpm lockfile's does.
+const LOCKFILES = [
+  { file: 'bun.lockb', backup: 'bun.ember-try.lockb' },
+  { file: 'bun.lock', backup: 'bun.ember-try.lock' },
+];
+
+module.exports = CoreObject.extend({
+  configKey: 'npm',
+
+  init() {
+    this._super.apply(this, arguments);
+    this.run = this.run || require('../utils/run');
+  },
+
+  async setup() {
+    let pkg = path.join(this.cwd, PACKAGE_JSON);
+    let pkgBackup = path.join(this.cwd, PACKAGE_JSON_BACKUP);
+    debug(`Copying ${PACKAGE_JSON}`);
+    await fs.copy(pkg, pkgBackup);
+
+    for (let { file, backup } of LOCKFILES) {
+      let lockFile = path.join(this.cwd, file);
+      if (fs.existsSync(lockFile)) {
+        debug(`Copying ${file}`);
+        await fs.copy(lockFile, path.join(this.cwd, backup));
+      }
+    }
+  },
+
+  async changeToDependencySet(depSet, scenario) {
+    await this.applyDependencySet(depSet);
+
+    if (this.cache) {
+      await this.cache.install(
+        {
+          cwd: this.cwd,
+          run: this.run,
+          packageManager: 'bun',
+          lockfiles: LOCKFILES.map(({ file }) => file),
+          installOptions: this._managerOptions(depSet),
+          scenario,
+        },
+        () => this._install(depSet)
+      );
+    } else {
+      await this._install(depSet);
+    }
+
+    let deps = Object.assign({}, depSet.dependencies, depSet.devDependencies);
+    let currentDeps = Object.keys(deps).map((dep) => {
+      return {
+        name: dep,
+        versionExpected: deps[dep],
+        versionSeen: this._findCurrentVersionOf(dep),
+        packageManager: 'bun',
+      };
+    });
+
+    debug('Switched to dependencies: \n', currentDeps);
+
+    return currentDeps;
+  },
+
+  async cleanup() {
+    try {
+      debug(`Restoring original ${PACKAGE_JSON}`);
+      let pkg = path.join(this.cwd, PACKAGE_JSON);
+      let pkgBackup = path.join(this.cwd, PACKAGE_JSON_BACKUP);
+      await fs.copy(pkgBackup, pkg);
+      await fs.remove(pkgBackup);
+
+      await this._restoreLockfiles({ removeBackups: true });
+
+      await this._install();
+    } catch (e) {
+      console.log('Error cleaning up scenario:', e); // eslint-disable-line no-console
+    }
+  },
+
+  _findCurrentVersionOf(packageName) {
+    return installedVersionOf(this.cwd, packageName);
+  },
+
+  _managerOptions(depSet) {
+    let mgrOptions = this.managerOptions || [];
+
+    // buildManagerOptions overrides all default
+    if (typeof this.buildManagerOptions === 'function') {
+      mgrOptions = this.buildManagerOptions(depSet);
+
+      if (!Array.isArray(mgrOptions)) {
+        throw new Error('buildManagerOptions must return an array of options');
+      }
+    }
+
+    return mgrOptions;
+  },
+
+  async _install(depSet) {
+    let mgrOptions = this._managerOptions(depSet);
+
+    debug('Run bun install with options %s', mgrOptions);
+
+    await this.run('bun', [].concat(['install'], mgrOptions), { cwd: this.cwd });
+  },
+
+  async applyDependencySet(depSet) {
+    debug('Changing to dependency set: %s', JSON.stringify(depSet));
+
+    if (!depSet) {
+      return;
+    }
+
+    writePackageJSON(
+      path.join(this.cwd, PACKAGE_JSON),
+      path.join(this.cwd, PACKAGE_JSON_BACKUP),
+      (packageJSON) => this._packageJSONForDependencySet(packageJSON, depSet)
+    );
+
+    // We restore the original lockfile here, so that we always create a minimal
+    // diff compared to the original locked dependency set.
+    await this._restoreLockfiles({ removeBackups: false });
+  },
+
+  async _restoreLockfiles({ removeBackups }) {
+    for (let { file, backup } of LOCKFILES) {
+      let lockFileBackup = path.join(this.cwd, backup);
+      if (fs.existsSync(lockFileBackup)) {
+        debug(`Restoring original ${file}`);
+        await fs.copy(lockFileBackup, path.join(this.cwd, file));
+
+        if (removeBackups) {
+          await fs.remove(lockFileBackup);
+        }
+      }
+    }
+  },
+
+  changesForDependencySet(depSet) {
+    return packageJSONChanges(path.join(this.cwd, PACKAGE_JSON), (packageJSON) =>
+      this._packageJSONForDependencySet(packageJSON, depSet)
+    );
+  },
+
+  _packageJSONForDependencySet(packageJSON, depSet) {
+    // see https://bun.sh/docs/install/overrides
+    return packageJSONForDependencySet(packageJSON, depSet, ['overrides']);
+  },
+});
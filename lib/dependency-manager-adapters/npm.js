@@ -9,6 +9,16 @@ const debug = require('debug')('ember-try:dependency-manager-adapter:npm');
 const rimraf = util.promisify(require('rimraf'));
 const chalk = require('chalk');
 const semver = require('semver');
+const { backupDirectory, restoreDirectory } = require('../utils/directory-backup');
+const { restoreScenarioLockfile, saveScenarioLockfile } = require('../utils/scenario-lockfile');
+const {
+  DEPENDENCY_KINDS,
+  overrideDependencies,
+  packageJSONForDependencySet,
+  writePackageJSON,
+  packageJSONChanges,
+  installedVersionOf,
+} = require('../utils/package-json');
 
 module.exports = CoreObject.extend({
   init() {
@@ -35,13 +45,40 @@ module.exports = CoreObject.extend({
 
     this._runYarnCheck(options.ui);
 
+    // Lockfiles created for the scenarios are removed again at cleanup.
+    this._createdLockfile =
+      this.preserveLockfile &&
+      !fs.existsSync(path.join(this.cwd, this._lockfileOptions().lockfile));
+
     return await this._backupOriginalDependencies();
   },
 
-  async changeToDependencySet(depSet) {
+  async changeToDependencySet(depSet, scenario) {
     this.applyDependencySet(depSet);
 
-    await this._install(depSet);
+    if (this.preserveLockfile) {
+      await restoreScenarioLockfile(this._lockfileOptions(scenario));
+    }
+
+    if (this.cache) {
+      await this.cache.install(
+        {
+          cwd: this.cwd,
+          run: this.run,
+          packageManager: this.useYarnCommand ? 'yarn' : 'npm',
+          lockfiles: this.useYarnCommand ? [this.yarnLock] : [this.packageLock, this.npmShrinkWrap],
+          installOptions: this._managerOptions(depSet),
+          scenario,
+        },
+        () => this._install(depSet)
+      );
+    } else {
+      await this._install(depSet);
+    }
+
+    if (this.preserveLockfile) {
+      await saveScenarioLockfile(this._lockfileOptions(scenario));
+    }
 
     let deps = Object.assign({}, depSet.dependencies, depSet.devDependencies);
     let currentDeps = Object.keys(deps).map((dep) => {
@@ -81,6 +118,10 @@ module.exports = CoreObject.extend({
         cleanupTasks.push(rimraf(path.join(this.cwd, this.packageLockBackupFileName)));
       }
 
+      if (this._createdLockfile) {
+        cleanupTasks.push(rimraf(path.join(this.cwd, this._lockfileOptions().lockfile)));
+      }
+
       return await Promise.all(cleanupTasks);
     } catch (e) {
       console.log('Error cleaning up npm scenario:', e); // eslint-disable-line no-console
@@ -103,18 +144,23 @@ module.exports = CoreObject.extend({
     }
   },
 
+  _lockfileOptions(scenario) {
+    return {
+      cwd: this.cwd,
+      lockfile: this.useYarnCommand ? this.yarnLock : this.packageLock,
+      backup: this.useYarnCommand ? this.yarnLockBackupFileName : this.packageLockBackupFileName,
+      directory: this.lockfileDirectory,
+      scenario,
+    };
+  },
+
   _findCurrentVersionOf(packageName) {
-    let filename = path.join(this.cwd, this.nodeModules, packageName, this.packageJSON);
-    if (fs.existsSync(filename)) {
-      return JSON.parse(fs.readFileSync(filename)).version;
-    } else {
-      return null;
-    }
+    return installedVersionOf(this.cwd, packageName);
   },
 
-  async _install(depSet) {
+  // The options `install` runs with, which are part of the cache key as well.
+  _managerOptions(depSet) {
     let mgrOptions = this.managerOptions || [];
-    let cmd = this.useYarnCommand ? 'yarn' : 'npm';
 
     // buildManagerOptions overrides all default
     if (typeof this.buildManagerOptions === 'function') {
@@ -125,7 +171,7 @@ module.exports = CoreObject.extend({
       }
     } else {
       if (this.useYarnCommand) {
-        if (mgrOptions.indexOf('--no-lockfile') === -1) {
+        if (!this.preserveLockfile && mgrOptions.indexOf('--no-lockfile') === -1) {
           mgrOptions = mgrOptions.concat(['--no-lockfile']);
         }
         // npm warns on incompatible engines
@@ -133,11 +179,18 @@ module.exports = CoreObject.extend({
         if (mgrOptions.indexOf('--ignore-engines') === -1) {
           mgrOptions = mgrOptions.concat(['--ignore-engines']);
         }
-      } else if (mgrOptions.indexOf('--no-shrinkwrap') === -1) {
+      } else if (!this.preserveLockfile && mgrOptions.indexOf('--no-shrinkwrap') === -1) {
         mgrOptions = mgrOptions.concat(['--no-shrinkwrap']);
       }
     }
 
+    return mgrOptions;
+  },
+
+  async _install(depSet) {
+    let mgrOptions = this._managerOptions(depSet);
+    let cmd = this.useYarnCommand ? 'yarn' : 'npm';
+
     debug('Run npm/yarn install with options %s', mgrOptions);
 
     await this.run(cmd, [].concat(['install'], mgrOptions), { cwd: this.cwd });
@@ -161,65 +214,58 @@ module.exports = CoreObject.extend({
       return;
     }
 
-    let backupPackageJSON = path.join(this.cwd, this.packageJSONBackupFileName);
-    let packageJSONFile = path.join(this.cwd, this.packageJSON);
-    let packageJSON = JSON.parse(fs.readFileSync(backupPackageJSON));
-    let newPackageJSON = this._packageJSONForDependencySet(packageJSON, depSet);
-
-    debug('Write package.json with: \n', JSON.stringify(newPackageJSON));
+    writePackageJSON(
+      path.join(this.cwd, this.packageJSON),
+      path.join(this.cwd, this.packageJSONBackupFileName),
+      (packageJSON) => this._packageJSONForDependencySet(packageJSON, depSet)
+    );
+  },
 
-    fs.writeFileSync(packageJSONFile, JSON.stringify(newPackageJSON, null, 2));
+  changesForDependencySet(depSet) {
+    return packageJSONChanges(path.join(this.cwd, this.packageJSON), (packageJSON) =>
+      this._packageJSONForDependencySet(packageJSON, depSet)
+    );
   },
 
   _packageJSONForDependencySet(packageJSON, depSet) {
-    this._overridePackageJSONDependencies(packageJSON, depSet, 'dependencies');
-    this._overridePackageJSONDependencies(packageJSON, depSet, 'devDependencies');
-    this._overridePackageJSONDependencies(packageJSON, depSet, 'peerDependencies');
-    this._overridePackageJSONDependencies(packageJSON, depSet, 'ember');
-
     if (this.useYarnCommand) {
-      this._overridePackageJSONDependencies(packageJSON, depSet, 'resolutions');
-    } else {
-      this._overridePackageJSONDependencies(packageJSON, depSet, 'overrides');
+      return packageJSONForDependencySet(packageJSON, depSet, ['resolutions']);
     }
 
-    return packageJSON;
-  },
+    packageJSONForDependencySet(packageJSON, depSet);
 
-  _overridePackageJSONDependencies(packageJSON, depSet, kindOfDependency) {
-    if (!depSet[kindOfDependency]) {
-      return;
+    // npm only reads overrides from the root of a workspace, so the workspace
+    // adapter writes them there instead.
+    if (!this.isWorkspacePackage) {
+      overrideDependencies(packageJSON, { overrides: this._overridesFor(depSet) }, 'overrides');
     }
 
-    let packageNames = Object.keys(depSet[kindOfDependency]);
+    return packageJSON;
+  },
+
+  // The scenario's overrides, along with the ones npm always needs to install
+  // a pre-release or tarball version. Versions set to `null` are removed.
+  _overridesFor(depSet) {
+    let overrides = {};
 
-    packageNames.forEach((packageName) => {
-      if (!packageJSON[kindOfDependency]) {
-        packageJSON[kindOfDependency] = {};
-      }
+    for (let kindOfDependency of DEPENDENCY_KINDS.concat('overrides')) {
+      for (let [packageName, version] of Object.entries(depSet[kindOfDependency] || {})) {
+        if (kindOfDependency === 'overrides') {
+          overrides[packageName] = version;
+        }
 
-      let version = depSet[kindOfDependency][packageName];
-      if (version === null) {
-        delete packageJSON[kindOfDependency][packageName];
-      } else {
-        packageJSON[kindOfDependency][packageName] = version;
-
-        // in npm we need to always add an override if the version is a pre-release
-        if (
-          !this.useYarnCommand &&
-          (semver.prerelease(version) || /^https*:\/\/.*\.tg*z/.test(version))
-        ) {
-          if (!packageJSON.overrides) {
-            packageJSON.overrides = {};
-          }
-
-          packageJSON.overrides[packageName] = `$${packageName}`;
+        // `$name` refers to a dependency of the root package, which the
+        // packages of a workspace are not
+        if (version && (semver.prerelease(version) || /^https*:\/\/.*\.tg*z/.test(version))) {
+          overrides[packageName] = this.isWorkspacePackage ? version : `$${packageName}`;
         }
       }
-    });
+    }
+
+    return overrides;
   },
 
-  _restoreOriginalDependencies() {
+  async _restoreOriginalDependencies() {
     debug('Restoring original package.json and node_modules');
 
     let restoreTasks = [
@@ -229,13 +275,6 @@ module.exports = CoreObject.extend({
       ),
     ];
 
-    let nodeModulesBackupLocation = path.join(this.cwd, this.nodeModulesBackupLocation);
-    if (fs.existsSync(nodeModulesBackupLocation)) {
-      restoreTasks.push(
-        copy(nodeModulesBackupLocation, path.join(this.cwd, this.nodeModules), { clobber: true })
-      );
-    }
-
     let yarnLockBackupFileName = path.join(this.cwd, this.yarnLockBackupFileName);
     if (fs.existsSync(yarnLockBackupFileName)) {
       restoreTasks.push(copy(yarnLockBackupFileName, path.join(this.cwd, this.yarnLock)));
@@ -251,7 +290,13 @@ module.exports = CoreObject.extend({
       restoreTasks.push(copy(packageLockBackupFileName, path.join(this.cwd, this.packageLock)));
     }
 
-    return Promise.all(restoreTasks);
+    await Promise.all(restoreTasks);
+
+    // Done last, as it throws when the backup is incomplete.
+    await restoreDirectory(
+      path.join(this.cwd, this.nodeModulesBackupLocation),
+      path.join(this.cwd, this.nodeModules)
+    );
   },
 
   _backupOriginalDependencies() {
@@ -267,9 +312,7 @@ module.exports = CoreObject.extend({
     let nodeModulesPath = path.join(this.cwd, this.nodeModules);
     if (fs.existsSync(nodeModulesPath)) {
       backupTasks.push(
-        copy(nodeModulesPath, path.join(this.cwd, this.nodeModulesBackupLocation), {
-          clobber: true,
-        })
+        backupDirectory(nodeModulesPath, path.join(this.cwd, this.nodeModulesBackupLocation))
       );
     }
 
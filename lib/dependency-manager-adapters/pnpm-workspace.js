@@ -0,0 +1,148 @@
+'use strict';
+
+const CoreObject = require('core-object');
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const debug = require('debug')('ember-try:dependency-manager-adapter:pnpm-workspace');
+const walkSync = require('walk-sync');
+
+const PnpmAdapter = require('./pnpm');
+const workspaceDependencySets = require('../utils/workspace-dependency-sets');
+
+const PACKAGE_JSON = 'package.json';
+const PACKAGE_JSON_BACKUP = 'package.json.ember-try';
+const PNPM_WORKSPACE = 'pnpm-workspace.yaml';
+
+module.exports = CoreObject.extend({
+  configKey: 'npm',
+
+  init() {
+    this._super.apply(this, arguments);
+    this.run = this.run || require('../utils/run');
+
+    let workspaceFile = path.join(this.cwd, PNPM_WORKSPACE);
+    let workspaceConfig = fs.existsSync(workspaceFile)
+      ? yaml.load(fs.readFileSync(workspaceFile, 'utf8'))
+      : null;
+    let workspaceGlobs = workspaceConfig && workspaceConfig.packages;
+
+    if (!Array.isArray(workspaceGlobs) || !workspaceGlobs.length) {
+      throw new Error(
+        `you must define the \`packages\` property in ${PNPM_WORKSPACE} with at least one workspace to use pnpm workspaces with ember-try`
+      );
+    }
+
+    let globs = workspaceGlobs.filter((glob) => !glob.startsWith('!'));
+    let ignore = workspaceGlobs.filter((glob) => glob.startsWith('!')).map((glob) => glob.slice(1));
+
+    // The root package is part of the workspace as well, but it only holds
+    // the tooling for the monorepo, so we leave it alone.
+    let workspacePaths = walkSync(this.cwd, {
+      globs,
+      ignore: ['**/node_modules', ...ignore],
+    }).filter((workspacePath) => {
+      let packageJSONPath = path.join(this.cwd, workspacePath, PACKAGE_JSON);
+      return fs.existsSync(packageJSONPath);
+    });
+
+    this._rootAdapter = new PnpmAdapter({
+      cwd: this.cwd,
+      run: this.run,
+      managerOptions: this.managerOptions,
+      buildManagerOptions: this.buildManagerOptions,
+    });
+
+    this._packages = workspacePaths.map((workspacePath) => {
+      let cwd = path.join(this.cwd, workspacePath);
+      let packageJSON = JSON.parse(fs.readFileSync(path.join(cwd, PACKAGE_JSON)));
+      let relativePath = workspacePath.replace(/\/$/, '');
+
+      return {
+        name: packageJSON.name || relativePath,
+        path: relativePath,
+        adapter: new PnpmAdapter({ cwd, run: this.run }),
+      };
+    });
+
+    debug('Found workspace packages %s', this._packages.map((pkg) => pkg.name).join(', '));
+  },
+
+  async setup() {
+    await this._rootAdapter.setup();
+
+    for (let pkg of this._packages) {
+      debug(`Copying ${pkg.path}/${PACKAGE_JSON}`);
+      await fs.copy(
+        path.join(pkg.adapter.cwd, PACKAGE_JSON),
+        path.join(pkg.adapter.cwd, PACKAGE_JSON_BACKUP)
+      );
+    }
+  },
+
+  async changeToDependencySet(depSet) {
+    let packageDependencySets = workspaceDependencySets(depSet, this._packages);
+
+    for (let pkg of this._packages) {
+      // Packages that are not part of this scenario are reset, in case an
+      // earlier scenario changed them.
+      let selected = packageDependencySets.find((selected) => selected.pkg === pkg);
+      await pkg.adapter.applyDependencySet(selected ? selected.depSet : {});
+    }
+
+    // pnpm only reads overrides from the root package.json. This also resets
+    // the lockfile to the original one.
+    await this._rootAdapter.applyDependencySet({ overrides: depSet.overrides });
+
+    await this._rootAdapter._install(depSet);
+
+    let currentDeps = [];
+
+    for (let { pkg, depSet: packageDepSet } of packageDependencySets) {
+      let deps = Object.assign({}, packageDepSet.dependencies, packageDepSet.devDependencies);
+
+      for (let dep of Object.keys(deps)) {
+        currentDeps.push({
+          name: dep,
+          versionExpected: deps[dep],
+          versionSeen: pkg.adapter._findCurrentVersionOf(dep),
+          packageManager: 'pnpm',
+          workspace: pkg.name,
+        });
+      }
+    }
+
+    debug('Switched to dependencies: \n', currentDeps);
+
+    return currentDeps;
+  },
+
+  changesForDependencySet(depSet) {
+    let changes = [];
+    workspaceDependencySets(depSet, this._packages).forEach(({ pkg, depSet: packageDepSet }) => {
+      changes.push(...pkg.adapter.changesForDependencySet(packageDepSet));
+    });
+
+    if (depSet.overrides) {
+      changes.push(...this._rootAdapter.changesForDependencySet({ overrides: depSet.overrides }));
+    }
+
+    return changes;
+  },
+
+  async cleanup() {
+    try {
+      for (let pkg of this._packages) {
+        debug(`Restoring original ${pkg.path}/${PACKAGE_JSON}`);
+        let pkgBackup = path.join(pkg.adapter.cwd, PACKAGE_JSON_BACKUP);
+        await fs.copy(pkgBackup, path.join(pkg.adapter.cwd, PACKAGE_JSON));
+        await fs.remove(pkgBackup);
+      }
+    } catch (e) {
+      console.log('Error cleaning up scenario:', e); // eslint-disable-line no-console
+    }
+
+    // Restores the root package.json and pnpm-lock.yaml, and reinstalls.
+    await this._rootAdapter.cleanup();
+  },
+});
@@ -4,6 +4,13 @@ const CoreObject = require('core-object');
 const fs = require('fs-extra');
 const path = require('path');
 const debug = require('debug')('ember-try:dependency-manager-adapter:pnpm');
+const { restoreScenarioLockfile, saveScenarioLockfile } = require('../utils/scenario-lockfile');
+const {
+  packageJSONForDependencySet,
+  writePackageJSON,
+  packageJSONChanges,
+  installedVersionOf,
+} = require('../utils/package-json');
 
 const PACKAGE_JSON = 'package.json';
 const PACKAGE_JSON_BACKUP = 'package.json.ember-try';
@@ -36,12 +43,37 @@ module.exports = CoreObject.extend({
       debug(`Copying ${PNPM_LOCKFILE}`);
       await fs.copy(lockFile, lockFileBackup);
     }
+
+    // Lockfiles created for the scenarios are removed again at cleanup.
+    this._createdLockfile = this.preserveLockfile && !fs.existsSync(lockFile);
   },
 
-  async changeToDependencySet(depSet) {
+  async changeToDependencySet(depSet, scenario) {
     await this.applyDependencySet(depSet);
 
-    await this._install(depSet);
+    if (this.preserveLockfile) {
+      await restoreScenarioLockfile(this._lockfileOptions(scenario));
+    }
+
+    if (this.cache) {
+      await this.cache.install(
+        {
+          cwd: this.cwd,
+          run: this.run,
+          packageManager: 'pnpm',
+          lockfiles: [PNPM_LOCKFILE],
+          installOptions: this._managerOptions(depSet),
+          scenario,
+        },
+        () => this._install(depSet)
+      );
+    } else {
+      await this._install(depSet);
+    }
+
+    if (this.preserveLockfile) {
+      await saveScenarioLockfile(this._lockfileOptions(scenario));
+    }
 
     let deps = Object.assign({}, depSet.dependencies, depSet.devDependencies);
     let currentDeps = Object.keys(deps).map((dep) => {
@@ -69,8 +101,12 @@ module.exports = CoreObject.extend({
       debug(`Restoring original ${PNPM_LOCKFILE}`);
       let lockFile = path.join(this.cwd, PNPM_LOCKFILE);
       let lockFileBackup = path.join(this.cwd, PNPM_LOCKFILE_BACKUP);
-      await fs.copy(lockFileBackup, lockFile);
-      await fs.remove(lockFileBackup);
+      if (this._createdLockfile) {
+        await fs.remove(lockFile);
+      } else {
+        await fs.copy(lockFileBackup, lockFile);
+        await fs.remove(lockFileBackup);
+      }
 
       await this._install();
     } catch (e) {
@@ -78,16 +114,21 @@ module.exports = CoreObject.extend({
     }
   },
 
+  _lockfileOptions(scenario) {
+    return {
+      cwd: this.cwd,
+      lockfile: PNPM_LOCKFILE,
+      backup: PNPM_LOCKFILE_BACKUP,
+      directory: this.lockfileDirectory,
+      scenario,
+    };
+  },
+
   _findCurrentVersionOf(packageName) {
-    let filename = path.join(this.cwd, 'node_modules', packageName, PACKAGE_JSON);
-    if (fs.existsSync(filename)) {
-      return JSON.parse(fs.readFileSync(filename)).version;
-    } else {
-      return null;
-    }
+    return installedVersionOf(this.cwd, packageName);
   },
 
-  async _install(depSet) {
+  _managerOptions(depSet) {
     let mgrOptions = this.managerOptions || [];
 
     // buildManagerOptions overrides all default
@@ -97,12 +138,16 @@ module.exports = CoreObject.extend({
       if (!Array.isArray(mgrOptions)) {
         throw new Error('buildManagerOptions must return an array of options');
       }
-    } else {
-      if (!mgrOptions.includes('--no-lockfile')) {
-        mgrOptions.push('--no-lockfile');
-      }
+    } else if (!this.preserveLockfile && !mgrOptions.includes('--no-lockfile')) {
+      mgrOptions = mgrOptions.concat(['--no-lockfile']);
     }
 
+    return mgrOptions;
+  },
+
+  async _install(depSet) {
+    let mgrOptions = this._managerOptions(depSet);
+
     // Note: We are explicitly *not* using `--no-lockfile` here, so that we
     // only have to resolve the dependencies that have actually changed.
 
@@ -118,13 +163,11 @@ module.exports = CoreObject.extend({
       return;
     }
 
-    let backupPackageJSON = path.join(this.cwd, PACKAGE_JSON_BACKUP);
-    let packageJSONFile = path.join(this.cwd, PACKAGE_JSON);
-    let packageJSON = JSON.parse(fs.readFileSync(backupPackageJSON));
-    let newPackageJSON = this._packageJSONForDependencySet(packageJSON, depSet);
-
-    debug('Write package.json with: \n', JSON.stringify(newPackageJSON));
-    fs.writeFileSync(packageJSONFile, JSON.stringify(newPackageJSON, null, 2));
+    writePackageJSON(
+      path.join(this.cwd, PACKAGE_JSON),
+      path.join(this.cwd, PACKAGE_JSON_BACKUP),
+      (packageJSON) => this._packageJSONForDependencySet(packageJSON, depSet)
+    );
 
     // We restore the original lockfile here, so that we always create a minimal
     // diff compared to the original locked dependency set.
@@ -137,36 +180,14 @@ module.exports = CoreObject.extend({
     }
   },
 
-  _packageJSONForDependencySet(packageJSON, depSet) {
-    this._overridePackageJSONDependencies(packageJSON, depSet, 'dependencies');
-    this._overridePackageJSONDependencies(packageJSON, depSet, 'devDependencies');
-    this._overridePackageJSONDependencies(packageJSON, depSet, 'peerDependencies');
-    this._overridePackageJSONDependencies(packageJSON, depSet, 'ember');
-
-    // see https://pnpm.io/package_json#pnpmoverrides
-    this._overridePackageJSONDependencies(packageJSON, depSet, 'overrides');
-
-    return packageJSON;
+  changesForDependencySet(depSet) {
+    return packageJSONChanges(path.join(this.cwd, PACKAGE_JSON), (packageJSON) =>
+      this._packageJSONForDependencySet(packageJSON, depSet)
+    );
   },
 
-  _overridePackageJSONDependencies(packageJSON, depSet, kindOfDependency) {
-    if (!depSet[kindOfDependency]) {
-      return;
-    }
-
-    let packageNames = Object.keys(depSet[kindOfDependency]);
-
-    for (let packageName of packageNames) {
-      if (!packageJSON[kindOfDependency]) {
-        packageJSON[kindOfDependency] = {};
-      }
-
-      let version = depSet[kindOfDependency][packageName];
-      if (version === null) {
-        delete packageJSON[kindOfDependency][packageName];
-      } else {
-        packageJSON[kindOfDependency][packageName] = version;
-      }
-    }
+  _packageJSONForDependencySet(packageJSON, depSet) {
+    // see https://pnpm.io/package_json#pnpmoverrides
+    return packageJSONForDependencySet(packageJSON, depSet, ['overrides']);
   },
 });
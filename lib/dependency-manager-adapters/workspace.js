@@ -5,20 +5,24 @@ const fs = require('fs-extra');
 const path = require('path');
 const debug = require('debug')('ember-try:dependency-manager-adapter:workspaces');
 const walkSync = require('walk-sync');
+const util = require('util');
+const rimraf = util.promisify(require('rimraf'));
 
 const NpmAdapter = require('./npm');
+const workspaceDependencySets = require('../utils/workspace-dependency-sets');
+const {
+  overrideDependencies,
+  writePackageJSON,
+  packageJSONChanges,
+  installedVersionOf,
+} = require('../utils/package-json');
 
 module.exports = CoreObject.extend({
   init() {
     this._super.apply(this, arguments);
     this.run = this.run || require('../utils/run');
 
-    if (!this.useYarnCommand) {
-      throw new Error(
-        'workspaces are currently only supported by Yarn, you must set `useYarn` to true'
-      );
-    }
-    let packageJSON = JSON.parse(fs.readFileSync(this.packageJSON));
+    let packageJSON = JSON.parse(fs.readFileSync(path.join(this.cwd, this.packageJSON)));
     let workspaceGlobs;
 
     if (Array.isArray(packageJSON.workspaces)) {
@@ -37,47 +41,98 @@ module.exports = CoreObject.extend({
 
     // workspaces is a list of globs, loop over the list and find
     // all paths that contain a `package.json` file
-    let workspacePaths = walkSync('.', { globs: workspaceGlobs }).filter((workspacePath) => {
+    let workspacePaths = walkSync(this.cwd, { globs: workspaceGlobs }).filter((workspacePath) => {
       let packageJSONPath = path.join(this.cwd, workspacePath, 'package.json');
       return fs.existsSync(packageJSONPath);
     });
 
-    this._packageAdapters = workspacePaths.map((workspacePath) => {
-      return new NpmAdapter({
-        cwd: workspacePath,
-        run: this.run,
-        managerOptions: this.managerOptions,
-        useYarnCommand: true,
-        buildManagerOptions: this.buildManagerOptions,
-      });
+    this._packages = workspacePaths.map((workspacePath) => {
+      let cwd = path.join(this.cwd, workspacePath);
+      let packageJSON = JSON.parse(fs.readFileSync(path.join(cwd, this.packageJSON)));
+      let relativePath = workspacePath.replace(/\/$/, '');
+
+      return {
+        name: packageJSON.name || relativePath,
+        path: relativePath,
+        adapter: new NpmAdapter({
+          cwd,
+          run: this.run,
+          managerOptions: this.managerOptions,
+          useYarnCommand: this.useYarnCommand,
+          buildManagerOptions: this.buildManagerOptions,
+          isWorkspacePackage: true,
+        }),
+      };
     });
+    this._packageAdapters = this._packages.map((pkg) => pkg.adapter);
   },
 
   packageJSON: 'package.json',
+  packageJSONBackupFileName: 'package.json.ember-try',
+  nodeModules: 'node_modules',
+  packageLock: 'package-lock.json',
+  packageLockBackupFileName: 'package-lock.json.ember-try',
 
-  setup(options) {
+  async setup(options) {
     if (!options) {
       options = {};
     }
 
-    return Promise.all(this._packageAdapters.map((adapter) => adapter.setup(options)));
+    await Promise.all(this._packageAdapters.map((adapter) => adapter.setup(options)));
+
+    if (this.useYarnCommand) {
+      return;
+    }
+
+    // npm keeps a single lockfile, and the overrides, for all workspaces in the
+    // root
+    debug(`Copying ${this.packageJSON}`);
+    await fs.copy(
+      path.join(this.cwd, this.packageJSON),
+      path.join(this.cwd, this.packageJSONBackupFileName)
+    );
+
+    let packageLockPath = path.join(this.cwd, this.packageLock);
+    if (fs.existsSync(packageLockPath)) {
+      debug(`Copying ${this.packageLock}`);
+      await fs.copy(packageLockPath, path.join(this.cwd, this.packageLockBackupFileName));
+    }
   },
 
   async changeToDependencySet(depSet) {
-    // TODO: What should this do for tables? Nesting? Needs different output
-    this._packageAdapters.forEach((adapter) => {
-      adapter.applyDependencySet(depSet);
+    let packageDependencySets = workspaceDependencySets(depSet, this._packages);
+
+    this._packages.forEach((pkg) => {
+      // Packages that are not part of this scenario are reset, in case an
+      // earlier scenario changed them.
+      let selected = packageDependencySets.find((selected) => selected.pkg === pkg);
+      pkg.adapter.applyDependencySet(selected ? selected.depSet : {});
     });
 
+    if (!this.useYarnCommand) {
+      writePackageJSON(
+        path.join(this.cwd, this.packageJSON),
+        path.join(this.cwd, this.packageJSONBackupFileName),
+        (packageJSON) => this._rootPackageJSONFor(packageJSON, packageDependencySets)
+      );
+    }
+
     await this._install(depSet);
-    let deps = Object.assign({}, depSet.dependencies, depSet.devDependencies);
-    let currentDeps = Object.keys(deps).map((dep) => {
-      return {
-        name: dep,
-        versionExpected: deps[dep],
-        versionSeen: this._findCurrentVersionOf(dep),
-        packageManager: 'yarn',
-      };
+
+    let currentDeps = [];
+
+    packageDependencySets.forEach(({ pkg, depSet: packageDepSet }) => {
+      let deps = Object.assign({}, packageDepSet.dependencies, packageDepSet.devDependencies);
+
+      Object.keys(deps).forEach((dep) => {
+        currentDeps.push({
+          name: dep,
+          versionExpected: deps[dep],
+          versionSeen: this._findCurrentVersionOf(pkg.adapter, dep),
+          packageManager: this.useYarnCommand ? 'yarn' : 'npm',
+          workspace: pkg.name,
+        });
+      });
     });
 
     debug('Switched to dependencies: \n', currentDeps);
@@ -85,8 +140,52 @@ module.exports = CoreObject.extend({
     return currentDeps;
   },
 
-  cleanup() {
-    return Promise.all(this._packageAdapters.map((adapter) => adapter.cleanup()));
+  changesForDependencySet(depSet) {
+    let changes = [];
+    let packageDependencySets = workspaceDependencySets(depSet, this._packages);
+    packageDependencySets.forEach(({ pkg, depSet: packageDepSet }) => {
+      changes.push(...pkg.adapter.changesForDependencySet(packageDepSet));
+    });
+
+    if (!this.useYarnCommand && Object.keys(this._overridesFor(packageDependencySets)).length) {
+      changes.push(
+        ...packageJSONChanges(path.join(this.cwd, this.packageJSON), (packageJSON) =>
+          this._rootPackageJSONFor(packageJSON, packageDependencySets)
+        )
+      );
+    }
+
+    return changes;
+  },
+
+  async cleanup() {
+    await Promise.all(this._packageAdapters.map((adapter) => adapter.cleanup()));
+
+    if (this.useYarnCommand) {
+      return;
+    }
+
+    try {
+      let packageJSONBackupPath = path.join(this.cwd, this.packageJSONBackupFileName);
+      if (fs.existsSync(packageJSONBackupPath)) {
+        debug(`Restoring original ${this.packageJSON}`);
+        await fs.copy(packageJSONBackupPath, path.join(this.cwd, this.packageJSON));
+        await rimraf(packageJSONBackupPath);
+      }
+
+      let packageLockBackupPath = path.join(this.cwd, this.packageLockBackupFileName);
+      if (fs.existsSync(packageLockBackupPath)) {
+        debug(`Restoring original ${this.packageLock}`);
+        await fs.copy(packageLockBackupPath, path.join(this.cwd, this.packageLock));
+        await rimraf(packageLockBackupPath);
+      }
+
+      // npm hoists the workspaces' dependencies into the root `node_modules`,
+      // which is not covered by the backups of the packages.
+      await this._install();
+    } catch (e) {
+      console.log('Error cleaning up npm workspaces scenario:', e); // eslint-disable-line no-console
+    }
   },
 
   _install(depSet) {
@@ -99,7 +198,7 @@ module.exports = CoreObject.extend({
       if (!Array.isArray(mgrOptions)) {
         throw new Error('buildManagerOptions must return an array of options');
       }
-    } else {
+    } else if (this.useYarnCommand) {
       if (mgrOptions.indexOf('--no-lockfile') === -1) {
         mgrOptions = mgrOptions.concat(['--no-lockfile']);
       }
@@ -108,14 +207,42 @@ module.exports = CoreObject.extend({
       if (mgrOptions.indexOf('--ignore-engines') === -1) {
         mgrOptions = mgrOptions.concat(['--ignore-engines']);
       }
+    } else if (mgrOptions.indexOf('--no-shrinkwrap') === -1) {
+      mgrOptions = mgrOptions.concat(['--no-shrinkwrap']);
     }
 
-    debug('Run yarn install with options %s', mgrOptions);
+    let cmd = this.useYarnCommand ? 'yarn' : 'npm';
+
+    debug('Run %s install with options %s', cmd, mgrOptions);
+
+    return this.run(cmd, ['install', ...mgrOptions], { cwd: this.cwd });
+  },
+
+  // npm only reads overrides from the root package.json, so the overrides of
+  // all the packages the scenario changes are written there.
+  _rootPackageJSONFor(packageJSON, packageDependencySets) {
+    let overrides = this._overridesFor(packageDependencySets);
+    overrideDependencies(packageJSON, { overrides }, 'overrides');
 
-    return this.run('yarn', ['install', ...mgrOptions], { cwd: this.cwd });
+    return packageJSON;
   },
 
-  _findCurrentVersionOf(dep) {
-    return this._packageAdapters[0]._findCurrentVersionOf(dep);
+  _overridesFor(packageDependencySets) {
+    let overrides = {};
+    for (let { pkg, depSet } of packageDependencySets) {
+      Object.assign(overrides, pkg.adapter._overridesFor(depSet));
+    }
+
+    return overrides;
+  },
+
+  _findCurrentVersionOf(packageAdapter, dep) {
+    let version = packageAdapter._findCurrentVersionOf(dep);
+    if (version) {
+      return version;
+    }
+
+    // Look for dependencies that were hoisted to the root, as node would
+    return installedVersionOf(this.cwd, dep);
   },
 });
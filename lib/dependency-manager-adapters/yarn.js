@@ -0,0 +1,216 @@
+'use strict';
+
+const CoreObject = require('core-object');
+const fs = require('fs-extra');
+const path = require('path');
+const debug = require('debug')('ember-try:dependency-manager-adapter:yarn');
+const {
+  overrideDependencies,
+  packageJSONForDependencySet,
+  writePackageJSON,
+  packageJSONChanges,
+  installedVersionOf,
+} = require('../utils/package-json');
+
+const PACKAGE_JSON = 'package.json';
+
+// Yarn 2+ ("Berry") keeps its install state outside of `node_modules`, so
+// these files need to be put back for `yarn install` to restore the original
+// dependencies. Yarn 1 is still handled by the npm adapter.
+//
+// `package.json` and `yarn.lock` are backed up under the names the npm adapter
+// uses for them. The other files get `.ember-try` before their extension, so
+// the backups keep their file type.
+const BACKUPS = [
+  { file: PACKAGE_JSON, backup: 'package.json.ember-try' },
+  { file: 'yarn.lock', backup: 'yarn.lock.ember-try' },
+  { file: '.pnp.cjs', backup: '.pnp.ember-try.cjs' },
+  { file: '.yarn/install-state.gz', backup: '.yarn/install-state.ember-try.gz' },
+];
+const PNP_FILE = '.pnp.cjs';
+
+module.exports = CoreObject.extend({
+  configKey: 'npm',
+
+  init() {
+    this._super.apply(this, arguments);
+    this.run = this.run || require('../utils/run');
+  },
+
+  async setup() {
+    for (let { file, backup } of BACKUPS) {
+      let filePath = path.join(this.cwd, file);
+      if (fs.existsSync(filePath)) {
+        debug(`Copying ${file}`);
+        await fs.copy(filePath, path.join(this.cwd, backup));
+      }
+    }
+  },
+
+  async changeToDependencySet(depSet, scenario) {
+    await this.applyDependencySet(depSet);
+
+    if (this.cache) {
+      await this.cache.install(
+        {
+          cwd: this.cwd,
+          run: this.run,
+          packageManager: 'yarn',
+          lockfiles: ['yarn.lock'],
+          files: ['.pnp.cjs', '.pnp.loader.mjs', '.yarn/install-state.gz'],
+          installOptions: this._managerOptions(depSet),
+          scenario,
+        },
+        () => this._install(depSet)
+      );
+    } else {
+      await this._install(depSet);
+    }
+
+    let deps = Object.assign({}, depSet.dependencies, depSet.devDependencies);
+    let currentDeps = Object.keys(deps).map((dep) => {
+      return {
+        name: dep,
+        versionExpected: deps[dep],
+        versionSeen: this._findCurrentVersionOf(dep),
+        packageManager: 'yarn',
+      };
+    });
+
+    debug('Switched to dependencies: \n', currentDeps);
+
+    return currentDeps;
+  },
+
+  async cleanup() {
+    try {
+      for (let { file, backup } of BACKUPS) {
+        let backupPath = path.join(this.cwd, backup);
+        if (fs.existsSync(backupPath)) {
+          debug(`Restoring original ${file}`);
+          await fs.copy(backupPath, path.join(this.cwd, file));
+          await fs.remove(backupPath);
+        }
+      }
+
+      await this._install();
+    } catch (e) {
+      console.log('Error cleaning up scenario:', e); // eslint-disable-line no-console
+    }
+  },
+
+  _findCurrentVersionOf(packageName) {
+    let version = installedVersionOf(this.cwd, packageName);
+    if (version) {
+      return version;
+    }
+
+    let pnpFile = path.join(this.cwd, PNP_FILE);
+    if (fs.existsSync(pnpFile)) {
+      return this._findCurrentVersionInPnp(pnpFile, packageName);
+    }
+
+    return null;
+  },
+
+  _findCurrentVersionInPnp(pnpFile, packageName) {
+    // The install rewrites `.pnp.cjs`, so make sure we don't get the API for
+    // the previous scenario from the require cache.
+    delete require.cache[pnpFile];
+
+    let pnpApi = require(pnpFile);
+    let topLevel = pnpApi.getPackageInformation(pnpApi.topLevel);
+    let reference = topLevel && topLevel.packageDependencies.get(packageName);
+
+    if (!reference) {
+      return null;
+    }
+
+    // Aliased dependencies are stored as `[name, reference]`.
+    if (Array.isArray(reference)) {
+      reference = reference[1];
+    }
+
+    // References look like `npm:1.2.3`, but can be wrapped in `virtual:` or
+    // `patch:` references that contain the (URL-encoded) `npm:` one.
+    let match = /npm:([^#&]+)/.exec(decodeURIComponent(reference));
+
+    debug('Found %s reference %s for %s', PNP_FILE, reference, packageName);
+
+    return match ? match[1] : null;
+  },
+
+  _managerOptions(depSet) {
+    let mgrOptions = this.managerOptions || [];
+
+    // buildManagerOptions overrides all default
+    if (typeof this.buildManagerOptions === 'function') {
+      mgrOptions = this.buildManagerOptions(depSet);
+
+      if (!Array.isArray(mgrOptions)) {
+        throw new Error('buildManagerOptions must return an array of options');
+      }
+    } else if (!mgrOptions.includes('--no-immutable')) {
+      // Yarn defaults to `--immutable` on CI, which refuses to update the
+      // lockfile for the scenario's dependencies.
+      mgrOptions = mgrOptions.concat(['--no-immutable']);
+    }
+
+    return mgrOptions;
+  },
+
+  async _install(depSet) {
+    let mgrOptions = this._managerOptions(depSet);
+
+    debug('Run yarn install with options %s', mgrOptions);
+
+    await this.run('yarn', [].concat(['install'], mgrOptions), { cwd: this.cwd });
+  },
+
+  async applyDependencySet(depSet) {
+    debug('Changing to dependency set: %s', JSON.stringify(depSet));
+
+    if (!depSet) {
+      return;
+    }
+
+    writePackageJSON(
+      path.join(this.cwd, PACKAGE_JSON),
+      path.join(this.cwd, 'package.json.ember-try'),
+      (packageJSON) => this._packageJSONForDependencySet(packageJSON, depSet)
+    );
+
+    // We restore the original lockfile here, so that we always create a minimal
+    // diff compared to the original locked dependency set.
+
+    let lockFile = path.join(this.cwd, 'yarn.lock');
+    let lockFileBackup = path.join(this.cwd, 'yarn.lock.ember-try');
+    if (fs.existsSync(lockFileBackup)) {
+      debug('Restoring original yarn.lock');
+      await fs.copy(lockFileBackup, lockFile);
+    }
+  },
+
+  changesForDependencySet(depSet) {
+    return packageJSONChanges(path.join(this.cwd, PACKAGE_JSON), (packageJSON) =>
+      this._packageJSONForDependencySet(packageJSON, depSet)
+    );
+  },
+
+  _packageJSONForDependencySet(packageJSON, depSet) {
+    packageJSONForDependencySet(packageJSON, depSet);
+
+    // Pin the scenario's dependencies for the whole tree, so that addons
+    // depending on e.g. `ember-source` themselves get the same version.
+    // see https://yarnpkg.com/configuration/manifest#resolutions
+    let resolutions = Object.assign(
+      {},
+      depSet.dependencies,
+      depSet.devDependencies,
+      depSet.resolutions
+    );
+    overrideDependencies(packageJSON, { resolutions }, 'resolutions');
+
+    return packageJSON;
+  },
+});
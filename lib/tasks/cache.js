@@ -0,0 +1,60 @@
+'use strict';
+
+const CoreObject = require('core-object');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const debug = require('debug')('ember-try:commands:cache');
+const ScenarioCache = require('../utils/scenario-cache');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+module.exports = CoreObject.extend({
+  async run(action, options) {
+    let cache = this.cache || ScenarioCache.fromConfig(this.config, this.project.root);
+
+    if (!cache) {
+      this.ui.writeLine(
+        chalk.yellow('The cache is not enabled, add `cache: true` to your ember-try config.')
+      );
+      return;
+    }
+
+    debug('Running cache action %s', action);
+
+    switch (action) {
+      case 'list':
+        return this._list(await cache.list());
+      case 'prune':
+        return this._removed(await cache.prune({ maxAge: options.maxAge * DAY }));
+      case 'clear':
+        return this._removed(await cache.clear());
+      default:
+        throw new Error(`Unknown cache action \`${action}\`, expected one of: list, prune, clear`);
+    }
+  },
+
+  _list(entries) {
+    if (!entries.length) {
+      this.ui.writeLine('The cache is empty.');
+      return;
+    }
+
+    let table = new Table({ head: ['Scenario', 'Package manager', 'Key', 'Last used'] });
+    entries.forEach((entry) => {
+      table.push([
+        entry.scenario || '',
+        `${entry.packageManager}@${entry.packageManagerVersion}`,
+        entry.key,
+        entry.lastUsedAt,
+      ]);
+    });
+
+    this.ui.writeLine(table.toString());
+  },
+
+  _removed(entries) {
+    this.ui.writeLine(
+      `Removed ${entries.length} cache ${entries.length === 1 ? 'entry' : 'entries'}.`
+    );
+  },
+});
@@ -2,8 +2,15 @@
 
 const CoreObject = require('core-object');
 const chalk = require('chalk');
+const path = require('path');
 const debug = require('debug')('ember-try:task:try-each');
 const runCommand = require('./../utils/run-command');
+const runHook = require('./../utils/run-hook');
+
+const REPORTERS = {
+  json: { label: 'JSON', method: 'writeJSON' },
+  junit: { label: 'JUnit', method: 'writeJUnit' },
+};
 
 module.exports = CoreObject.extend({
   async run(scenarios, options) {
@@ -12,9 +19,11 @@ module.exports = CoreObject.extend({
     let DependencyManagerAdapterFactory = require('./../utils/dependency-manager-adapter-factory');
     this.ResultSummary = require('./../utils/result-summary');
 
+    let reports = this._reportsFor(options);
+
     let dependencyManagerAdapters =
       this.dependencyManagerAdapters ||
-      DependencyManagerAdapterFactory.generateFromConfig(this.config, this.project.root);
+      DependencyManagerAdapterFactory.generateFromConfig(this.config, this.project.root, this.ui);
     debug(
       'DependencyManagerAdapters: %s',
       dependencyManagerAdapters.map((item) => {
@@ -26,26 +35,86 @@ module.exports = CoreObject.extend({
       dependencyManagerAdapters,
     });
 
+    if (options && options.dryRun) {
+      await this._printDryRun(scenarios);
+
+      return 0;
+    }
+
+    let parallel = this._parallelism(options);
+    this._isolatedCopies = [];
+
     this._canceling = false;
-    this._on('SIGINT', () => {
+    let shutdown;
+    let onSIGINT = () => {
       this._canceling = true;
       this.ui.writeLine('\nGracefully shutting down from SIGINT (Ctrl-C)');
-      return this.ScenarioManager.cleanup();
-    });
+      this._killRunningCommands();
+
+      if (parallel > 1) {
+        shutdown = this._removeIsolatedCopies();
+      } else {
+        shutdown = this.ScenarioManager.cleanup();
+      }
+
+      return shutdown;
+    };
+    this._on('SIGINT', onSIGINT);
 
     try {
-      await this.ScenarioManager.setup();
-      debug('Scenario Manager setup');
+      let results;
 
-      let results = [];
-      for (let scenario of scenarios) {
-        results.push(await this._runCommandForThisScenario(scenario));
+      if (await this._runHooks('beforeAll', undefined, { scenarios, root: this.project.root })) {
+        return 1;
       }
 
-      await this._optionallyCleanup(options);
+      if (parallel > 1) {
+        debug('Running scenarios with a parallelism of %s', parallel);
+        results = await this._runScenariosInParallel(scenarios, parallel, options);
+      } else {
+        await this.ScenarioManager.setup();
+        debug('Scenario Manager setup');
+
+        results = [];
+        for (let scenario of scenarios) {
+          if (this._shouldFailFast(results, options)) {
+            results.push(this._skippedResultFor(scenario));
+          } else {
+            results.push(await this._runCommandForThisScenario(scenario));
+          }
+        }
+
+        if (!this._canceling) {
+          await this._optionallyCleanup(options);
+        }
+      }
+
+      // The scenarios that were cancelled have no results to report, and the
+      // SIGINT handler already cleaned up.
+      if (this._canceling) {
+        await shutdown;
+        return 1;
+      }
+
+      if (!options || !options.skipCleanup) {
+        this._emit('cleanup', {});
+      }
+
+      this.results = results;
+
+      let afterAllFailure = await this._runHooks('afterAll', undefined, {
+        results,
+        root: this.project.root,
+      });
 
       debug('Output results');
       this._printResults(results);
+      this._writeReports(results, reports);
+
+      if (afterAllFailure) {
+        this.ui.writeLine(chalk.red(afterAllFailure.message));
+        return 1;
+      }
 
       return this._exitAsAppropriate(results);
     } catch (err) {
@@ -57,49 +126,347 @@ module.exports = CoreObject.extend({
       }
 
       return 1; // Signifies exit code
+    } finally {
+      this._off('SIGINT', onSIGINT);
     }
   },
 
-  async _runCommandForThisScenario(scenario) {
+  async _runCommandForThisScenario(scenario, workingCopy) {
     if (this._canceling) {
       return;
     }
 
-    let scenarioDependencyState = await this.ScenarioManager.changeTo(scenario);
+    this._emit('scenario:start', { scenario });
+
+    let scenarioManager = workingCopy ? workingCopy.scenarioManager : this.ScenarioManager;
+    let installStart = Date.now();
+    this._emit('install:start', { scenario });
+    let scenarioDependencyState = await scenarioManager.changeTo(scenario);
+    let installDuration = Date.now() - installStart;
+    this._emit('install:end', {
+      scenario,
+      dependencies: scenarioDependencyState,
+      duration: installDuration,
+    });
 
     if (this._canceling) {
       return;
     }
 
-    process.env.EMBER_TRY_CURRENT_SCENARIO = scenario.name;
+    let env = scenario.env;
+    if (workingCopy) {
+      // Scenarios share `process.env` when running in parallel, so the
+      // current scenario is passed to the command's environment instead.
+      env = Object.assign({}, env, { EMBER_TRY_CURRENT_SCENARIO: scenario.name });
+    } else {
+      process.env.EMBER_TRY_CURRENT_SCENARIO = scenario.name;
+    }
     this._writeHeader(`Scenario: ${scenario.name}`);
 
-    let command = this._determineCommandFor(scenario);
+    let steps = this._stepsFor(scenario);
+    let command = describeSteps(steps);
     let runResults = {
       scenario: scenario.name,
       allowedToFail: !!scenario.allowedToFail,
       dependencyState: scenarioDependencyState,
       envState: scenario.env,
-      command: command.join(' '),
+      command,
     };
 
     debug('With:\n', runResults);
 
-    let result = await this._runCommand({
-      commandArgs: command,
-      commandOptions: this._commandOptions(scenario.env),
-    });
+    let mismatches = this._versionMismatchesFor(scenarioDependencyState);
+    if (mismatches.length) {
+      mismatches.forEach((dep) => {
+        this.ui.writeLine(
+          chalk.red(
+            `${dep.name}${dep.workspace ? ` (${dep.workspace})` : ''}: expected ${
+              dep.versionExpected || 'Not Installed'
+            }, used ${dep.versionSeen || 'Not Installed'}`
+          )
+        );
+      });
+
+      runResults.result = false;
+      runResults.versionMismatch = true;
+      runResults.exitCode = null;
+      runResults.timing = { install: installDuration, command: 0 };
+      this._writeFooter('Result: dependency versions do not match, command not run');
+      this._emit('scenario:end', { scenario, result: runResults });
+
+      return runResults;
+    }
 
-    if (this._canceling) {
-      return;
+    let root = workingCopy ? workingCopy.root : this.project.root;
+    let hookOptions = Object.assign({ cwd: root }, this._commandOptions(env));
+    let hookContext = { scenario, dependencyState: scenarioDependencyState, root };
+
+    let beforeEachFailure = await this._runHooks('beforeEach', scenario, hookContext, hookOptions);
+    if (beforeEachFailure) {
+      runResults.result = false;
+      runResults.hookFailure = beforeEachFailure;
+      runResults.exitCode = null;
+      runResults.timing = { install: installDuration, command: 0 };
+      this._writeFooter('Result: beforeEach hook failed, command not run');
+      this._emit('scenario:end', { scenario, result: runResults });
+
+      return runResults;
+    }
+
+    let commandStart = Date.now();
+    this._emit('command:start', { scenario, command });
+    let stepResults = [];
+    let failed = false;
+
+    for (let step of steps) {
+      if (failed && !this._continuesOnStepFailure(scenario)) {
+        stepResults.push({ name: step.name, command: formatCommand(step), skipped: true });
+        continue;
+      }
+
+      let stepResult = await this._runStep(scenario, step, steps.length > 1, env, root);
+
+      if (this._canceling) {
+        return;
+      }
+
+      stepResults.push(stepResult);
+      failed = failed || !stepResult.result;
     }
 
+    let result = stepResults.every((stepResult) => stepResult.result);
+    let timedOut = stepResults.some((stepResult) => stepResult.timedOut);
+    let attempts = Math.max(...stepResults.map((stepResult) => stepResult.attempts || 1));
     runResults.result = result;
-    this._writeFooter(`Result: ${result}`);
+    runResults.timedOut = timedOut;
+    runResults.exitCode = timedOut ? null : exitCodeOf(stepResults);
+    runResults.attempts = attempts;
+    runResults.flaky = result && attempts > 1;
+    runResults.timing = {
+      install: installDuration,
+      command: Date.now() - commandStart,
+    };
+    if (steps[0].name) {
+      runResults.steps = stepResults;
+    }
+    this._emit('command:end', {
+      scenario,
+      command,
+      result,
+      timedOut,
+      attempts,
+      duration: runResults.timing.command,
+    });
+
+    let afterEachFailure = await this._runHooks(
+      'afterEach',
+      scenario,
+      Object.assign({ result: runResults }, hookContext),
+      hookOptions
+    );
+    if (afterEachFailure) {
+      runResults.result = false;
+      runResults.hookFailure = afterEachFailure;
+    }
+
+    let failedSteps = stepResults
+      .filter((stepResult) => stepResult.result === false)
+      .map((stepResult) => stepResult.name);
+    let outcome = afterEachFailure ? 'afterEach hook failed' : timedOut ? 'timed out' : result;
+    if (steps.length > 1 && failedSteps.length) {
+      outcome = `${outcome} (failed: ${failedSteps.join(', ')})`;
+    }
+    this._writeFooter(`Result: ${outcome}`);
+    this._emit('scenario:end', { scenario, result: runResults });
 
     return runResults;
   },
 
+  // Runs one step of the scenario's command, re-running it on failure as
+  // often as the scenario's `retries` allow.
+  async _runStep(scenario, step, showName, env, root) {
+    let maxAttempts = this._retriesFor(scenario) + 1;
+    let stepStart = Date.now();
+    let attempts = 0;
+    let outcome;
+
+    if (showName) {
+      this.ui.writeLine(chalk.blue(`\n--- Step: ${step.name}\n`));
+    }
+    this._emit('step:start', { scenario, step: step.name });
+
+    do {
+      attempts++;
+
+      if (attempts > 1) {
+        this.ui.writeLine(
+          chalk.yellow(
+            `\nRetrying ${showName ? `step ${step.name} of ` : ''}scenario ${
+              scenario.name
+            } (attempt ${attempts} of ${maxAttempts})`
+          )
+        );
+      }
+
+      outcome = await this._runCommandOnce({
+        commandArgs: step.command,
+        commandOptions: Object.assign(this._commandOptions(env, this._timeoutFor(scenario)), {
+          shell: step.shell,
+        }),
+        cwd: root,
+      });
+    } while (!outcome.result && attempts < maxAttempts && !this._canceling);
+
+    let stepResult = {
+      name: step.name,
+      command: formatCommand(step),
+      result: outcome.result,
+      timedOut: outcome.timedOut,
+      exitCode: outcome.exitCode,
+      attempts,
+      duration: Date.now() - stepStart,
+    };
+    this._emit('step:end', { scenario, step: step.name, result: stepResult });
+
+    return stepResult;
+  },
+
+  async _runCommandOnce(options) {
+    try {
+      let { result, exitCode } = await this._runCommand(options);
+
+      return { result, exitCode, timedOut: false };
+    } catch (error) {
+      // The command was killed on Ctrl-C
+      if (this._canceling) {
+        return { result: false, exitCode: null, timedOut: false };
+      }
+
+      if (!error || !error.timedOut) {
+        throw error;
+      }
+
+      this.ui.writeLine(chalk.red(error.message));
+
+      return { result: false, exitCode: null, timedOut: true };
+    }
+  },
+
+  async _runScenariosInParallel(scenarios, parallel, options) {
+    let results = new Array(scenarios.length);
+    let nextIndex = 0;
+
+    let worker = async () => {
+      while (nextIndex < scenarios.length && !this._canceling) {
+        let index = nextIndex++;
+
+        if (this._shouldFailFast(results, options)) {
+          results[index] = this._skippedResultFor(scenarios[index]);
+        } else {
+          results[index] = await this._runScenarioInIsolation(scenarios[index], options);
+        }
+      }
+    };
+
+    let workers = [];
+    for (let i = 0; i < Math.min(parallel, scenarios.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    delete process.env.EMBER_TRY_CURRENT_SCENARIO;
+
+    return results;
+  },
+
+  async _runScenarioInIsolation(scenario, options) {
+    // Required lazily to improve startup speed.
+    let ScenarioManager = require('./../utils/scenario-manager');
+    let DependencyManagerAdapterFactory = require('./../utils/dependency-manager-adapter-factory');
+    let { createIsolatedCopy } = require('./../utils/isolated-copy');
+    let ScenarioCache = require('./../utils/scenario-cache');
+
+    // The cache is shared with the project, rather than copied along with it
+    let cache = ScenarioCache.fromConfig(this.config, this.project.root);
+    let root = await createIsolatedCopy(this.project.root, scenario.name, {
+      exclude: cache ? [cache.directory] : [],
+    });
+    this._isolatedCopies.push(root);
+    debug('Created working copy for scenario %s at %s', scenario.name, root);
+
+    try {
+      let scenarioManager = new ScenarioManager({
+        ui: this.ui,
+        dependencyManagerAdapters: DependencyManagerAdapterFactory.generateFromConfig(
+          this.config,
+          root,
+          undefined,
+          this.project.root
+        ),
+      });
+      await scenarioManager.setup();
+
+      return await this._runCommandForThisScenario(scenario, { root, scenarioManager });
+    } finally {
+      if (options && options.skipCleanup) {
+        this.ui.writeLine(chalk.gray(`Working copy for ${scenario.name} kept at ${root}`));
+      } else {
+        await this._removeIsolatedCopy(root);
+      }
+    }
+  },
+
+  async _removeIsolatedCopy(root) {
+    let { removeIsolatedCopy } = require('./../utils/isolated-copy');
+
+    this._isolatedCopies = this._isolatedCopies.filter((item) => item !== root);
+    await removeIsolatedCopy(root);
+  },
+
+  async _removeIsolatedCopies() {
+    for (let root of this._isolatedCopies.slice()) {
+      await this._removeIsolatedCopy(root);
+    }
+  },
+
+  _parallelism(options) {
+    let parallel = options && options.parallel;
+
+    return Number.isInteger(parallel) && parallel > 1 ? parallel : 1;
+  },
+
+  async _printDryRun(scenarios) {
+    let { createTwoFilesPatch } = require('diff');
+
+    for (let scenario of scenarios) {
+      this._writeHeader(`Scenario: ${scenario.name} (dry run)`);
+      this.ui.writeLine(`Command: ${describeSteps(this._stepsFor(scenario))}`);
+
+      let changes = await this.ScenarioManager.changesFor(scenario);
+      for (let { file, before, after } of changes) {
+        let relativePath = path.relative(this.project.root, file);
+
+        if (before.trim() === after.trim()) {
+          this.ui.writeLine(chalk.gray(`No changes to ${relativePath}`));
+          continue;
+        }
+
+        // Drop the leading `=====` line, the remainder is a regular unified diff.
+        let patch = createTwoFilesPatch(
+          `a/${relativePath}`,
+          `b/${relativePath}`,
+          ensureTrailingNewline(before),
+          ensureTrailingNewline(after)
+        )
+          .split('\n')
+          .slice(1);
+
+        this.ui.writeLine('');
+        patch.forEach((line) => this.ui.writeLine(colorForDiffLine(line)(line)));
+      }
+    }
+  },
+
   _writeHeader(text) {
     let count = 75 - text.length;
     let separator = new Array(count + 1).join('=');
@@ -111,34 +478,142 @@ module.exports = CoreObject.extend({
     this.ui.writeLine(chalk.blue('---\n'));
   },
 
-  _determineCommandFor(scenario) {
+  // The command is either a single command or a list of steps, which are run
+  // one after the other after the scenario's install. Steps are commands or
+  // `{ name, command }` objects, and are named after their command by default.
+  _stepsFor(scenario) {
     if (this.commandArgs && this.commandArgs.length) {
-      return this.commandArgs;
+      return [{ command: this.commandArgs, shell: this._shellForArgs(this.commandArgs, scenario) }];
+    }
+
+    let command = scenario.command || this.config.command || { argv: this._defaultCommandArgs() };
+
+    if (Array.isArray(command)) {
+      return command.map((step) => {
+        let parsed = this._parseCommand(typeof step === 'string' ? step : step.command, scenario);
+
+        return Object.assign({ name: step.name || formatCommand(parsed) }, parsed);
+      });
+    }
+
+    return [this._parseCommand(command, scenario)];
+  },
+
+  // Commands given as an `{ argv }` list of arguments are run without a shell,
+  // unless `shell` is set. Commands given as a string keep running in a shell.
+  _parseCommand(command, scenario) {
+    if (typeof command === 'string') {
+      return { command: command.split(' '), shell: true };
+    }
+
+    return { command: command.argv, shell: this._shellFor(scenario) };
+  },
+
+  // The arguments after `---` are run in a shell when they could only have
+  // been meant for one, e.g. `--- 'ember build && ember test'` or
+  // `--- FOO=5 ember test`, unless `--shell` says otherwise.
+  _shellForArgs(args, scenario) {
+    if (this.shell === undefined && needsShell(args)) {
+      return true;
+    }
+
+    return this._shellFor(scenario);
+  },
+
+  _shellFor(scenario) {
+    if (this.shell !== undefined) {
+      return !!this.shell;
     }
 
-    if (scenario.command) {
-      return scenario.command.split(' ');
+    if (scenario.shell !== undefined) {
+      return scenario.shell;
     }
 
-    if (this.config.command) {
-      return this.config.command.split(' ');
+    return !!this.config.shell;
+  },
+
+  _continuesOnStepFailure(scenario) {
+    if (scenario.continueOnStepFailure !== undefined) {
+      return scenario.continueOnStepFailure;
     }
 
-    return this._defaultCommandArgs();
+    return !!this.config.continueOnStepFailure;
   },
 
   _runCommand(options) {
-    return runCommand(this.project.root, options.commandArgs, options.commandOptions);
+    return runCommand(
+      options.cwd || this.project.root,
+      options.commandArgs,
+      options.commandOptions
+    );
+  },
+
+  // Runs the global hook and the scenario's own one, the global one first
+  // for `before*` hooks and last for `after*` hooks. Returns the failure, if
+  // any, without running the rest.
+  async _runHooks(name, scenario, context, options) {
+    let hooks = [this.config.hooks, scenario && scenario.hooks]
+      .map((hooks) => hooks && hooks[name])
+      .filter(Boolean);
+
+    if (name.startsWith('after')) {
+      hooks.reverse();
+    }
+
+    for (let hook of hooks) {
+      try {
+        await this._runHook(name, hook, context, options || { cwd: this.project.root });
+      } catch (error) {
+        this.ui.writeLine(chalk.red(error.message));
+
+        return { hook: name, message: error.message };
+      }
+    }
+
+    return null;
+  },
+
+  _runHook(name, hook, context, options) {
+    return runHook(name, hook, context, options);
   },
 
-  _commandOptions(env) {
-    let options = this.commandOptions || {};
+  _commandOptions(env, timeout) {
+    let options = Object.assign({}, this.commandOptions);
     if (env) {
       options.env = Object.assign({}, process.env, env);
     }
+    if (timeout) {
+      options.timeout = timeout;
+    }
     return options;
   },
 
+  _versionMismatchesFor(dependencyState) {
+    if (!this.config.strictVersions) {
+      return [];
+    }
+
+    let dependencyStatus = require('./../utils/dependency-status');
+
+    return dependencyState.filter((dep) => {
+      return ['out-of-range', 'not-installed'].includes(dependencyStatus(dep));
+    });
+  },
+
+  _retriesFor(scenario) {
+    let retries = scenario.retries !== undefined ? scenario.retries : this.config.retries;
+
+    return Number.isInteger(retries) && retries > 0 ? retries : 0;
+  },
+
+  _timeoutFor(scenario) {
+    if (scenario.timeout !== undefined) {
+      return scenario.timeout;
+    }
+
+    return this.config.timeout;
+  },
+
   _defaultCommandArgs() {
     return ['ember', 'test'];
   },
@@ -147,9 +622,70 @@ module.exports = CoreObject.extend({
     new this.ResultSummary({ ui: this.ui, results }).print();
   },
 
+  _reportsFor(options) {
+    let reports = [];
+    let reportJson = (options && options.reportJson) || this.config.reportJson;
+
+    if (reportJson) {
+      reports.push({ reporter: 'json', output: reportJson });
+    }
+
+    if (options && options.reporter) {
+      if (!REPORTERS[options.reporter]) {
+        throw new Error(
+          `Unknown reporter \`${options.reporter}\`, expected one of: ${Object.keys(REPORTERS).join(
+            ', '
+          )}`
+        );
+      }
+
+      if (!options.output) {
+        throw new Error('The `--reporter` option requires an `--output` file');
+      }
+
+      reports.push({ reporter: options.reporter, output: options.output });
+    }
+
+    return reports;
+  },
+
+  _writeReports(results, reports) {
+    for (let { reporter, output } of reports) {
+      let reportPath = path.resolve(this.project.root, output);
+      debug('Write %s report to %s', reporter, reportPath);
+
+      let resultSummary = new this.ResultSummary({ ui: this.ui, results });
+      resultSummary[REPORTERS[reporter].method](reportPath);
+      this.ui.writeLine(chalk.gray(`${REPORTERS[reporter].label} report written to ${reportPath}`));
+    }
+  },
+
+  _shouldFailFast(results, options) {
+    if (!options || !options.failFast) {
+      return false;
+    }
+
+    return results.some((result) => {
+      return result && !result.skipped && !result.result && !result.allowedToFail;
+    });
+  },
+
+  _skippedResultFor(scenario) {
+    debug('Skipping scenario %s', scenario.name);
+
+    return {
+      scenario: scenario.name,
+      allowedToFail: !!scenario.allowedToFail,
+      skipped: true,
+      dependencyState: [],
+      envState: scenario.env,
+      command: describeSteps(this._stepsFor(scenario)),
+    };
+  },
+
   _exitAsAppropriate(results) {
     let outcomes = results.map((result) => {
-      return result.result || result.allowedToFail;
+      return result.result || result.allowedToFail || !!result.skipped;
     });
 
     return this._exitBasedOnCondition(outcomes.indexOf(false) > -1);
@@ -179,7 +715,69 @@ module.exports = CoreObject.extend({
     process.exit(code);
   },
 
+  _killRunningCommands() {
+    require('./../utils/run').killRunning();
+  },
+
   _on(signal, fn) {
     process.on(signal, fn);
   },
+
+  _off(signal, fn) {
+    process.removeListener(signal, fn);
+  },
+
+  // Lifecycle events for the programmatic API, see lib/api.js
+  _emit(event, payload) {
+    if (this.events) {
+      this.events.emit(event, payload);
+    }
+  },
 });
+
+// The exit code of the first step that failed, or of the last one when they
+// all passed.
+function exitCodeOf(stepResults) {
+  let ranSteps = stepResults.filter((stepResult) => !stepResult.skipped);
+  let failedStep = ranSteps.find((stepResult) => !stepResult.result);
+
+  return (failedStep || ranSteps[ranSteps.length - 1]).exitCode;
+}
+
+function needsShell(args) {
+  return (args.length === 1 && /\s/.test(args[0])) || /^\w+=/.test(args[0]);
+}
+
+// Quotes the arguments that were not given as a shell string where needed, so
+// the command reads the way it would be typed.
+function formatCommand(step) {
+  if (step.shell) {
+    return step.command.join(' ');
+  }
+
+  return step.command
+    .map((arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : JSON.stringify(arg)))
+    .join(' ');
+}
+
+function describeSteps(steps) {
+  return steps.map(formatCommand).join(' && ');
+}
+
+function ensureTrailingNewline(str) {
+  return str.endsWith('\n') ? str : `${str}\n`;
+}
+
+function colorForDiffLine(line) {
+  if (line.startsWith('+++') || line.startsWith('---')) {
+    return chalk.bold;
+  } else if (line.startsWith('+')) {
+    return chalk.green;
+  } else if (line.startsWith('-')) {
+    return chalk.red;
+  } else if (line.startsWith('@@')) {
+    return chalk.cyan;
+  }
+
+  return (text) => text;
+}
@@ -3,6 +3,7 @@
 const path = require('path');
 const fs = require('fs');
 const findByName = require('./find-by-name');
+const { resolveAdapterModules } = require('./custom-adapters');
 const debug = require('debug')('ember-try:utils:config');
 
 function getConfigPath(project) {
@@ -62,7 +63,7 @@ async function getBaseConfig(options) {
 async function config(options) {
   const configData = await getBaseConfig(options);
 
-  return configData;
+  return resolveAdapterModules(configData, options.project.root);
 }
 
 module.exports = config;
@@ -0,0 +1,56 @@
+'use strict';
+
+const debug = require('debug')('ember-try:utils:custom-adapters');
+
+const REQUIRED_METHODS = ['setup', 'changeToDependencySet', 'cleanup'];
+
+// Adapters can be given as module paths, resolved from the project root.
+function resolveAdapterModules(config, root) {
+  if (!config || !Array.isArray(config.adapters)) {
+    return config;
+  }
+
+  config.adapters = config.adapters.map((adapter) => {
+    if (typeof adapter !== 'string') {
+      return adapter;
+    }
+
+    let modulePath = require.resolve(adapter, { paths: [root] });
+    debug('Loading adapter %s from %s', adapter, modulePath);
+
+    return require(modulePath);
+  });
+
+  return config;
+}
+
+// Adapters are either classes, which get instantiated for each project root,
+// or objects that are used as they are.
+function configKeyOf(adapter) {
+  if (typeof adapter === 'function') {
+    return adapter.prototype.configKey || adapter.configKey;
+  }
+
+  return adapter && adapter.configKey;
+}
+
+function createAdapter(adapter, options) {
+  let instance = typeof adapter === 'function' ? new adapter(options) : adapter;
+  let missingMethods = REQUIRED_METHODS.filter((method) => typeof instance[method] !== 'function');
+
+  if (typeof instance.configKey !== 'string') {
+    throw new Error('Custom adapters must have a `configKey`');
+  }
+
+  if (missingMethods.length) {
+    throw new Error(
+      `The custom adapter for \`${instance.configKey}\` must implement ${missingMethods
+        .map((method) => `\`${method}\``)
+        .join(', ')}`
+    );
+  }
+
+  return instance;
+}
+
+module.exports = { resolveAdapterModules, configKeyOf, createAdapter };
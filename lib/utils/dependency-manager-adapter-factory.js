@@ -1,11 +1,32 @@
 'use strict';
 
+const BunAdapter = require('../dependency-manager-adapters/bun');
 const NpmAdapter = require('../dependency-manager-adapters/npm');
 const PnpmAdapter = require('../dependency-manager-adapters/pnpm');
+const PnpmWorkspaceAdapter = require('../dependency-manager-adapters/pnpm-workspace');
 const WorkspaceAdapter = require('../dependency-manager-adapters/workspace');
+const YarnAdapter = require('../dependency-manager-adapters/yarn');
+const ScenarioCache = require('./scenario-cache');
+const { lockfileDirectoryFor } = require('./scenario-lockfile');
+const { createAdapter } = require('./custom-adapters');
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const debug = require('debug')('ember-try:utils:dependency-manager-adapter-factory');
+
+// In order of precedence, for projects that have more than one lockfile.
+const LOCKFILES = [
+  { file: 'pnpm-lock.yaml', packageManager: 'pnpm' },
+  { file: 'yarn.lock', packageManager: 'yarn' },
+  { file: 'bun.lockb', packageManager: 'bun' },
+  { file: 'bun.lock', packageManager: 'bun' },
+  { file: 'package-lock.json', packageManager: 'npm' },
+];
 
 module.exports = {
-  generateFromConfig(config, root) {
+  // `projectRoot` is the project itself when `root` is an isolated working
+  // copy of it, so that what outlives a run is kept in the project.
+  generateFromConfig(config, root, ui, projectRoot) {
     let hasNpm = false;
     let hasBower = false;
     let adapters = [];
@@ -26,21 +47,92 @@ module.exports = {
       throw new Error('[ember-try] bower configuration is no longer supported');
     }
 
-    if (config.useWorkspaces) {
+    let customAdapters = (config.adapters || []).map((adapter) => {
+      return createAdapter(adapter, { cwd: root });
+    });
+
+    // A custom adapter for the `npm` key takes over from the built-in ones
+    if (customAdapters.some((adapter) => adapter.configKey === 'npm')) {
+      return customAdapters;
+    }
+
+    let { useYarn, usePnpm, useBun } = config;
+
+    if (
+      (hasNpm || config.useWorkspaces) &&
+      useYarn === undefined &&
+      usePnpm === undefined &&
+      useBun === undefined
+    ) {
+      let detected = detectPackageManager(root);
+      let message = `Using ${detected.packageManager} to install dependencies, ${detected.reason}`;
+
+      debug(message);
+      if (ui) {
+        ui.writeLine(chalk.gray(message));
+      }
+
+      useYarn = detected.packageManager === 'yarn';
+      usePnpm = detected.packageManager === 'pnpm';
+      useBun = detected.packageManager === 'bun';
+    }
+
+    // Workspaces install into more than one `node_modules`, which the cache
+    // doesn't support yet.
+    let cache = config.useWorkspaces
+      ? undefined
+      : ScenarioCache.fromConfig(config, projectRoot || root);
+    if (config.cache && config.useWorkspaces && ui) {
+      ui.writeLine(chalk.yellow('The `cache` option is not supported with `useWorkspaces`.'));
+    }
+
+    let preserveLockfile = Boolean(config.preserveLockfile);
+    let lockfileDirectory = lockfileDirectoryFor(config, projectRoot || root);
+
+    if (config.useWorkspaces && usePnpm) {
+      adapters.push(
+        new PnpmWorkspaceAdapter({
+          cwd: root,
+          managerOptions: config.npmOptions,
+          buildManagerOptions: config.buildManagerOptions,
+        })
+      );
+    } else if (config.useWorkspaces) {
       adapters.push(
         new WorkspaceAdapter({
           cwd: root,
           managerOptions: config.npmOptions,
-          useYarnCommand: config.useYarn,
+          useYarnCommand: useYarn,
           buildManagerOptions: config.buildManagerOptions,
         })
       );
-    } else if (config.usePnpm) {
+    } else if (usePnpm) {
       adapters.push(
         new PnpmAdapter({
           cwd: root,
           managerOptions: config.npmOptions,
           buildManagerOptions: config.buildManagerOptions,
+          cache,
+          preserveLockfile,
+          lockfileDirectory,
+        })
+      );
+    } else if (useBun) {
+      adapters.push(
+        new BunAdapter({
+          cwd: root,
+          managerOptions: config.npmOptions,
+          buildManagerOptions: config.buildManagerOptions,
+          cache,
+        })
+      );
+    } else if (hasNpm && useYarn && isYarnBerryProject(root)) {
+      adapters.push(
+        new YarnAdapter({
+          cwd: root,
+          managerOptions: config.npmOptions,
+          buildManagerOptions: config.buildManagerOptions,
+          cache,
         })
       );
     } else if (hasNpm) {
@@ -48,12 +140,62 @@ module.exports = {
         new NpmAdapter({
           cwd: root,
           managerOptions: config.npmOptions,
-          useYarnCommand: config.useYarn,
+          useYarnCommand: useYarn,
           buildManagerOptions: config.buildManagerOptions,
+          cache,
+          preserveLockfile,
+          lockfileDirectory,
         })
       );
     }
 
-    return adapters;
+    return adapters.concat(customAdapters);
   },
 };
+
+// Picks the package manager from the `packageManager` field used by
+// corepack, or from the lockfile that is checked in.
+function detectPackageManager(root) {
+  let { packageManager } = readPackageJSON(root);
+  let match = /^(npm|pnpm|yarn|bun)@/.exec(packageManager || '');
+
+  if (match) {
+    return {
+      packageManager: match[1],
+      reason: `as specified by "packageManager": "${packageManager}" in package.json`,
+    };
+  }
+
+  for (let lockfile of LOCKFILES) {
+    if (fs.existsSync(path.join(root, lockfile.file))) {
+      return {
+        packageManager: lockfile.packageManager,
+        reason: `because ${lockfile.file} was found`,
+      };
+    }
+  }
+
+  return {
+    packageManager: 'npm',
+    reason: 'because no lockfile or "packageManager" field was found',
+  };
+}
+
+// Yarn 2+ projects have a `.yarnrc.yml`, or pin their version in the
+// `packageManager` field for corepack.
+function isYarnBerryProject(root) {
+  if (fs.existsSync(path.join(root, '.yarnrc.yml'))) {
+    return true;
+  }
+
+  let { packageManager } = readPackageJSON(root);
+  let match = /^yarn@(\d+)\./.exec(packageManager || '');
+
+  return Boolean(match) && Number(match[1]) >= 2;
+}
+
+function readPackageJSON(root) {
+  let packageJSONFile = path.join(root, 'package.json');
+
+  return fs.existsSync(packageJSONFile) ? fs.readJsonSync(packageJSONFile) : {};
+}
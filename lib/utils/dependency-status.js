@@ -0,0 +1,33 @@
+'use strict';
+
+const semver = require('semver');
+
+/*
+  Compares the version of a dependency that ended up installed with the one a
+  scenario asked for. Requested versions that are not semver ranges, such as
+  tarball URLs or dist-tags, can't be verified and are only checked for
+  presence.
+*/
+module.exports = function dependencyStatus(dep) {
+  let { versionExpected, versionSeen } = dep;
+
+  if (!versionExpected) {
+    return versionSeen ? 'out-of-range' : 'satisfies';
+  }
+
+  if (!versionSeen) {
+    return 'not-installed';
+  }
+
+  if (versionExpected === versionSeen) {
+    return 'satisfies';
+  }
+
+  if (!semver.validRange(versionExpected)) {
+    return 'unverifiable';
+  }
+
+  return semver.satisfies(versionSeen, versionExpected, { includePrerelease: true })
+    ? 'satisfies'
+    : 'out-of-range';
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const debug = require('debug')('ember-try:utils:directory-backup');
+
+// Written last, so a backup without it was interrupted and is never restored.
+const COMPLETE_MARKER = '.ember-try-backup-complete';
+
+/*
+  Backs up `source` to `backup`. Files are cloned with reflinks where the
+  filesystem supports them, so their contents are only copied once they
+  change, and copied otherwise. They are never hardlinked: package managers,
+  postinstall scripts and build caches (`node_modules/.cache`, ...) write to
+  installed files in place, which would change the backup as well.
+
+  The backup is made in a temporary directory that is only renamed to
+  `backup` once it is complete.
+*/
+async function backupDirectory(source, backup) {
+  let tmpBackup = `${backup}.tmp`;
+
+  await fs.remove(tmpBackup);
+  await fs.remove(backup);
+
+  await cloneDirectory(source, tmpBackup);
+  await fs.writeFile(path.join(tmpBackup, COMPLETE_MARKER), new Date().toISOString());
+  await fs.rename(tmpBackup, backup);
+
+  debug('Backed up %s to %s', source, backup);
+}
+
+/*
+  Moves a complete backup back into place with renames, and removes what was
+  installed in the meantime. Returns false when there is no backup.
+*/
+async function restoreDirectory(backup, target) {
+  if (!fs.existsSync(backup)) {
+    return false;
+  }
+
+  if (!fs.existsSync(path.join(backup, COMPLETE_MARKER))) {
+    throw new Error(
+      `The backup in ${backup} is incomplete, so it was not restored to ${target}. Reinstall your dependencies to restore them.`
+    );
+  }
+
+  let replaced = `${target}.ember-try-replaced`;
+
+  await fs.remove(replaced);
+  if (fs.existsSync(target)) {
+    await fs.rename(target, replaced);
+  }
+  await fs.rename(backup, target);
+  await fs.remove(path.join(target, COMPLETE_MARKER));
+  await fs.remove(replaced);
+
+  debug('Restored %s from %s', target, backup);
+
+  return true;
+}
+
+async function cloneDirectory(source, destination) {
+  await fs.mkdir(destination);
+
+  for (let entry of await fs.readdir(source, { withFileTypes: true })) {
+    let from = path.join(source, entry.name);
+    let to = path.join(destination, entry.name);
+
+    if (entry.isDirectory()) {
+      await cloneDirectory(from, to);
+    } else if (entry.isSymbolicLink()) {
+      await fs.symlink(await fs.readlink(from), to);
+    } else if (entry.isFile()) {
+      // Falls back to a plain copy where reflinks are not supported
+      await fs.copyFile(from, to, fs.constants.COPYFILE_FICLONE);
+    }
+  }
+}
+
+module.exports = { backupDirectory, restoreDirectory, COMPLETE_MARKER };
@@ -0,0 +1,71 @@
+'use strict';
+
+const debug = require('debug')('ember-try:utils:filter-scenarios');
+
+function escapeForRegExp(str) {
+  return str.replace(/[-[\]{}()+.,\\^$|#]/g, '\\$&');
+}
+
+function globToRegExp(glob) {
+  let source = escapeForRegExp(glob).replace(/\*/g, '.*').replace(/\?/g, '.');
+
+  return new RegExp(`^${source}$`);
+}
+
+/*
+  A pattern wrapped in slashes, e.g. `/^ember-(beta|canary)$/i`, is used as a
+  regular expression. Anything else is a comma separated list of globs where
+  `*` matches any number of characters and `?` matches a single character.
+*/
+function matchersFor(pattern) {
+  let regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    return [new RegExp(regexMatch[1], regexMatch[2])];
+  }
+
+  return splitList(pattern).map(globToRegExp);
+}
+
+function splitList(list) {
+  return list
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function matchesAny(matchers, name) {
+  return matchers.some((matcher) => matcher.test(name));
+}
+
+module.exports = function filterScenarios(scenarios, options) {
+  let { filter, exclude, tags } = options || {};
+  let filtered = scenarios;
+
+  if (filter) {
+    let matchers = matchersFor(filter);
+    filtered = filtered.filter((scenario) => matchesAny(matchers, scenario.name));
+  }
+
+  if (exclude) {
+    let matchers = matchersFor(exclude);
+    filtered = filtered.filter((scenario) => !matchesAny(matchers, scenario.name));
+  }
+
+  if (tags) {
+    let selectedTags = splitList(tags);
+    filtered = filtered.filter((scenario) => {
+      return (scenario.tags || []).some((tag) => selectedTags.includes(tag));
+    });
+  }
+
+  debug(
+    'Selected scenarios: %s',
+    filtered.map((scenario) => scenario.name)
+  );
+
+  if ((filter || exclude || tags) && !filtered.length) {
+    throw new Error('No scenarios match the given `--filter`, `--exclude` or `--tags` options');
+  }
+
+  return filtered;
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const debug = require('debug')('ember-try:utils:isolated-copy');
+
+// Paths that are either reinstalled per scenario or are leftovers from a
+// previous in-place run, so there is no point in copying them. Build output is
+// only skipped in the project root, as packages in a monorepo may depend on
+// each other's `dist`.
+const IGNORED_NAMES = ['.git', 'node_modules'];
+const IGNORED_ROOT_NAMES = ['tmp', 'dist'];
+const BACKUP_PATTERN = /(\.ember-try(\.|$)|^\.node_modules\.ember-try$)/;
+
+function shouldCopy(root, src, exclude) {
+  if (exclude.includes(src)) {
+    return false;
+  }
+
+  let segments = path.relative(root, src).split(path.sep);
+
+  if (IGNORED_ROOT_NAMES.includes(segments[0])) {
+    return false;
+  }
+
+  return segments.every((segment) => {
+    return !IGNORED_NAMES.includes(segment) && !BACKUP_PATTERN.test(segment);
+  });
+}
+
+/*
+  Copies the project into a directory next to it, so that relative paths out of
+  the project, such as `file:../shared` dependencies, still resolve. Falls back
+  to the system's temporary directory when the project's parent directory is
+  not writable. `exclude` lists more absolute paths that are not copied.
+*/
+async function createIsolatedCopy(root, name, options) {
+  let exclude = ((options && options.exclude) || []).map((file) => path.resolve(file));
+  let slug = name.replace(/[^a-zA-Z0-9.-]+/g, '-');
+  let prefix = `.ember-try-${path.basename(root)}-${slug}-`;
+  let target;
+
+  try {
+    target = await fs.mkdtemp(path.join(path.dirname(root), prefix));
+  } catch (error) {
+    debug('Could not create a working copy next to %s: %s', root, error.message);
+    target = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+  }
+
+  debug('Copying %s to %s', root, target);
+
+  await fs.copy(root, target, {
+    filter: (src) => shouldCopy(root, src, exclude),
+  });
+
+  return target;
+}
+
+async function removeIsolatedCopy(target) {
+  debug('Removing %s', target);
+
+  await fs.remove(target);
+}
+
+module.exports = { createIsolatedCopy, removeIsolatedCopy };
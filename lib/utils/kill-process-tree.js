@@ -0,0 +1,100 @@
+'use strict';
+
+const execa = require('execa');
+const debug = require('debug')('ember-try:utils:kill-process-tree');
+
+const FORCE_KILL_DELAY = 5000;
+
+function isRunning(pid) {
+  try {
+    process.kill(-pid, 0);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function signalGroup(pid, signal) {
+  try {
+    process.kill(-pid, signal);
+    return true;
+  } catch (e) {
+    debug('%s to process group %s failed', signal, pid, e);
+    return false;
+  }
+}
+
+// Processes that were not detached share our own process group, so they and
+// the processes they started are signalled one by one instead.
+function descendantsOf(pid) {
+  let parents = new Map();
+
+  try {
+    let { stdout } = execa.sync('ps', ['-A', '-o', 'pid=,ppid=']);
+
+    for (let line of stdout.trim().split('\n')) {
+      let [childPid, parentPid] = line.trim().split(/\s+/).map(Number);
+      parents.set(childPid, parentPid);
+    }
+  } catch (e) {
+    debug('ps failed', e);
+  }
+
+  let descendants = [];
+  let queue = [pid];
+  while (queue.length) {
+    let parent = queue.shift();
+
+    for (let [childPid, parentPid] of parents) {
+      if (parentPid === parent) {
+        descendants.push(childPid);
+        queue.push(childPid);
+      }
+    }
+  }
+
+  return descendants;
+}
+
+function signalEach(pids, signal) {
+  for (let pid of pids) {
+    try {
+      process.kill(pid, signal);
+    } catch (e) {
+      debug('%s to %s failed', signal, pid, e);
+    }
+  }
+}
+
+/*
+  Kills a process along with everything it spawned. On POSIX a process spawned
+  with `detached: true` leads its own process group, so the whole group is
+  signalled at once.
+*/
+module.exports = function killProcessTree(pid) {
+  debug('Killing process tree of %s', pid);
+
+  if (process.platform === 'win32') {
+    try {
+      execa.sync('taskkill', ['/pid', String(pid), '/T', '/F']);
+    } catch (e) {
+      debug('taskkill failed', e);
+    }
+    return;
+  }
+
+  if (signalGroup(pid, 'SIGTERM')) {
+    setTimeout(() => {
+      if (isRunning(pid)) {
+        debug('Process group %s still running, sending SIGKILL', pid);
+        signalGroup(pid, 'SIGKILL');
+      }
+    }, FORCE_KILL_DELAY).unref();
+    return;
+  }
+
+  let pids = [pid].concat(descendantsOf(pid));
+  signalEach(pids, 'SIGTERM');
+
+  setTimeout(() => signalEach(pids, 'SIGKILL'), FORCE_KILL_DELAY).unref();
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const debug = require('debug')('ember-try:utils:package-json');
+
+// The kinds of dependencies every package manager reads from `package.json`.
+// The adapters add their own, e.g. `overrides` or `resolutions`.
+const DEPENDENCY_KINDS = ['dependencies', 'devDependencies', 'peerDependencies', 'ember'];
+
+/*
+  Sets the versions of one kind of dependency from the scenario's dependency
+  set. Dependencies set to `null` are removed.
+*/
+function overrideDependencies(packageJSON, depSet, kindOfDependency) {
+  if (!depSet[kindOfDependency]) {
+    return;
+  }
+
+  for (let packageName of Object.keys(depSet[kindOfDependency])) {
+    let version = depSet[kindOfDependency][packageName];
+    if (version === null) {
+      if (packageJSON[kindOfDependency]) {
+        delete packageJSON[kindOfDependency][packageName];
+      }
+      continue;
+    }
+
+    if (!packageJSON[kindOfDependency]) {
+      packageJSON[kindOfDependency] = {};
+    }
+
+    packageJSON[kindOfDependency][packageName] = version;
+  }
+}
+
+function packageJSONForDependencySet(packageJSON, depSet, extraKinds) {
+  for (let kindOfDependency of DEPENDENCY_KINDS.concat(extraKinds || [])) {
+    overrideDependencies(packageJSON, depSet, kindOfDependency);
+  }
+
+  return packageJSON;
+}
+
+/*
+  Writes `packageJSONFile` as `update` changes the original in `backupFile`,
+  so scenarios never build on each other's changes.
+*/
+function writePackageJSON(packageJSONFile, backupFile, update) {
+  let newPackageJSON = update(fs.readJsonSync(backupFile));
+
+  debug('Write %s with: \n', packageJSONFile, JSON.stringify(newPackageJSON));
+  fs.writeFileSync(packageJSONFile, JSON.stringify(newPackageJSON, null, 2));
+}
+
+// The change `update` would make to `packageJSONFile`, for `--dry-run`.
+function packageJSONChanges(packageJSONFile, update) {
+  let contents = fs.readFileSync(packageJSONFile, 'utf8');
+
+  return [
+    {
+      file: packageJSONFile,
+      before: contents,
+      after: JSON.stringify(update(JSON.parse(contents)), null, 2),
+    },
+  ];
+}
+
+// The version of a package installed in `node_modules`, or null.
+function installedVersionOf(cwd, packageName) {
+  let filename = path.join(cwd, 'node_modules', packageName, 'package.json');
+
+  return fs.existsSync(filename) ? fs.readJsonSync(filename).version : null;
+}
+
+module.exports = {
+  DEPENDENCY_KINDS,
+  overrideDependencies,
+  packageJSONForDependencySet,
+  writePackageJSON,
+  packageJSONChanges,
+  installedVersionOf,
+};
@@ -3,6 +3,26 @@
 const CoreObject = require('core-object');
 const chalk = require('chalk');
 const Table = require('cli-table3');
+const fs = require('fs-extra');
+const getDependencyStatus = require('./dependency-status');
+
+const STATUS_LABELS = {
+  SUCCESS: 'SUCCESS',
+  FLAKY: 'FLAKY',
+  FAIL: 'FAIL',
+  TIMEOUT: 'TIMED OUT',
+  SKIPPED: 'SKIPPED',
+  MISMATCH: 'VERSION MISMATCH',
+  HOOK_FAILURE: 'HOOK FAILED',
+};
+const PASSING_STATUSES = ['SUCCESS', 'FLAKY'];
+const STEP_COLORS = {
+  SUCCESS: chalk.green,
+  FLAKY: chalk.yellow,
+  FAIL: chalk.red,
+  TIMEOUT: chalk.red,
+  SKIPPED: chalk.gray,
+};
 
 module.exports = CoreObject.extend({
   print() {
@@ -12,14 +32,28 @@ module.exports = CoreObject.extend({
     let countPassed = 0;
     let countFailed = 0;
     let allowedFailCount = 0;
+    let flakyCount = 0;
+    let countSkipped = 0;
     task._printResultHeader();
 
     this.results.forEach((scenario) => {
-      if (scenario.result) {
+      let status = task._statusFor(scenario);
+
+      if (status === 'SKIPPED') {
+        task.ui.writeLine(chalk.gray(`Scenario ${scenario.scenario}: SKIPPED`));
+        countSkipped++;
+        return;
+      }
+
+      if (status === 'SUCCESS') {
         colorAndMessage = chalk.green(`Scenario ${scenario.scenario}: SUCCESS`);
         countPassed++;
+      } else if (status === 'FLAKY') {
+        colorAndMessage = chalk.yellow(`Scenario ${scenario.scenario}: FLAKY`);
+        countPassed++;
+        flakyCount++;
       } else {
-        failMessage = `Scenario ${scenario.scenario}: FAIL`;
+        failMessage = `Scenario ${scenario.scenario}: ${STATUS_LABELS[status]}`;
 
         if (scenario.allowedToFail) {
           failMessage = `${failMessage} (Allowed)`;
@@ -31,6 +65,15 @@ module.exports = CoreObject.extend({
       }
       task.ui.writeLine(colorAndMessage);
       task.ui.writeLine(`Command run: ${scenario.command}`);
+      if (scenario.steps) {
+        task._printSteps(scenario.steps);
+      }
+      if (scenario.hookFailure) {
+        task.ui.writeLine(chalk.red(scenario.hookFailure.message));
+      }
+      if (scenario.attempts > 1) {
+        task.ui.writeLine(`Attempts: ${scenario.attempts}`);
+      }
       if (scenario.envState) {
         task.ui.writeLine(`with env: ${JSON.stringify(scenario.envState, null, 2)}`);
       }
@@ -38,7 +81,64 @@ module.exports = CoreObject.extend({
     });
 
     task.ui.writeLine('');
-    task._printResultsSummary(countFailed, countPassed, allowedFailCount, this.results.length);
+    task._printResultsSummary(
+      countFailed,
+      countPassed,
+      allowedFailCount,
+      this.results.length - countSkipped,
+      flakyCount
+    );
+
+    if (countSkipped) {
+      task.ui.writeLine(chalk.gray(`${countSkipped} scenarios skipped`));
+    }
+  },
+  _statusFor(scenario) {
+    if (scenario.skipped) {
+      return 'SKIPPED';
+    }
+
+    if (scenario.timedOut) {
+      return 'TIMEOUT';
+    }
+
+    if (scenario.versionMismatch) {
+      return 'MISMATCH';
+    }
+
+    if (scenario.hookFailure) {
+      return 'HOOK_FAILURE';
+    }
+
+    if (scenario.result) {
+      return scenario.flaky ? 'FLAKY' : 'SUCCESS';
+    }
+
+    return 'FAIL';
+  },
+  _stepStatusFor(step) {
+    if (step.skipped) {
+      return 'SKIPPED';
+    }
+
+    if (step.timedOut) {
+      return 'TIMEOUT';
+    }
+
+    if (step.result) {
+      return step.attempts > 1 ? 'FLAKY' : 'SUCCESS';
+    }
+
+    return 'FAIL';
+  },
+  _printSteps(steps) {
+    steps.forEach((step) => {
+      let status = this._stepStatusFor(step);
+      let color = STEP_COLORS[status];
+      let duration = step.skipped ? '' : ` (${(step.duration / 1000).toFixed(1)}s)`;
+
+      this.ui.writeLine(color(`  Step ${step.name}: ${STATUS_LABELS[status]}${duration}`));
+    });
   },
   _printResultHeader() {
     let task = this;
@@ -50,6 +150,20 @@ module.exports = CoreObject.extend({
     if (!dependencyStatus.length) {
       return;
     }
+
+    // Workspace adapters report the dependencies of each package separately
+    let workspaces = [...new Set(dependencyStatus.map((dep) => dep.workspace))];
+    if (workspaces.length === 1 && workspaces[0] === undefined) {
+      this._printDependencyRows(dependencyStatus);
+      return;
+    }
+
+    workspaces.forEach((workspace) => {
+      this.ui.writeLine(`Workspace: ${workspace === undefined ? '(root)' : workspace}`);
+      this._printDependencyRows(dependencyStatus.filter((dep) => dep.workspace === workspace));
+    });
+  },
+  _printDependencyRows(dependencyStatus) {
     let task = this;
     let colorForDepFn;
     let tableRow;
@@ -63,15 +177,25 @@ module.exports = CoreObject.extend({
       colWidths: [20, 20, 30, 10],
     });
     dependencyStatus.forEach((dep) => {
-      if (dep.versionExpected === dep.versionSeen) {
+      let status = getDependencyStatus(dep);
+      let versionSeen = dep.versionSeen || 'Not Installed';
+
+      if (status === 'satisfies') {
         colorForDepFn = chalk.green;
+      } else if (status === 'not-installed') {
+        colorForDepFn = chalk.red;
       } else {
         colorForDepFn = chalk.yellow;
       }
+
+      if (status === 'out-of-range') {
+        versionSeen = `${versionSeen} (out of range)`;
+      }
+
       tableRow = [
         dep.name,
         dep.versionExpected || 'Not Installed',
-        dep.versionSeen || 'Not Installed',
+        versionSeen,
         dep.packageManager,
       ].map((column) => {
         return colorForDepFn(column);
@@ -81,18 +205,191 @@ module.exports = CoreObject.extend({
     task.ui.writeLine(table);
     task.ui.writeLine('');
   },
-  _printResultsSummary(countFailed, countPassed, allowedFailCount, total) {
+  _printResultsSummary(countFailed, countPassed, allowedFailCount, total, flakyCount) {
     let task = this;
+    let flakyMessage = flakyCount ? ` (${flakyCount} flaky)` : '';
     if (countFailed) {
       let failMessage = `${countFailed} scenarios failed`;
       if (allowedFailCount) {
         failMessage = `${failMessage} (${allowedFailCount} allowed)`;
       }
       task.ui.writeLine(chalk.red(failMessage));
-      task.ui.writeLine(chalk.green(`${countPassed} scenarios succeeded`));
+      task.ui.writeLine(chalk.green(`${countPassed} scenarios succeeded${flakyMessage}`));
       task.ui.writeLine(chalk.gray(`${total} scenarios run`));
     } else {
-      task.ui.writeLine(chalk.green(`All ${countPassed} scenarios succeeded`));
+      task.ui.writeLine(chalk.green(`All ${countPassed} scenarios succeeded${flakyMessage}`));
     }
   },
+  toJSON() {
+    let scenarios = this.results.map((scenario) => {
+      return {
+        name: scenario.scenario,
+        result: this._statusFor(scenario),
+        allowedToFail: scenario.allowedToFail,
+        command: scenario.command,
+        env: scenario.envState || {},
+        dependencyState: scenario.dependencyState.map((dep) => {
+          return {
+            name: dep.name,
+            versionExpected: dep.versionExpected || null,
+            versionSeen: dep.versionSeen || null,
+            packageManager: dep.packageManager || null,
+            status: getDependencyStatus(dep),
+            ...(dep.workspace ? { workspace: dep.workspace } : {}),
+          };
+        }),
+        timing: scenario.timing || null,
+        exitCode: scenario.exitCode === undefined ? null : scenario.exitCode,
+        attempts: scenario.attempts || 1,
+        ...(scenario.steps
+          ? {
+              steps: scenario.steps.map((step) => {
+                return {
+                  name: step.name,
+                  command: step.command,
+                  result: this._stepStatusFor(step),
+                  duration: step.skipped ? null : step.duration,
+                  attempts: step.attempts || (step.skipped ? 0 : 1),
+                };
+              }),
+            }
+          : {}),
+        ...(scenario.hookFailure ? { hookFailure: scenario.hookFailure } : {}),
+      };
+    });
+
+    let skipped = scenarios.filter((scenario) => scenario.result === 'SKIPPED');
+    let failed = scenarios.filter((scenario) => {
+      return !PASSING_STATUSES.includes(scenario.result) && scenario.result !== 'SKIPPED';
+    });
+
+    return {
+      scenarios,
+      summary: {
+        total: scenarios.length,
+        passed: scenarios.length - failed.length - skipped.length,
+        failed: failed.length,
+        allowedFailures: failed.filter((scenario) => scenario.allowedToFail).length,
+        flaky: scenarios.filter((scenario) => scenario.result === 'FLAKY').length,
+        skipped: skipped.length,
+      },
+    };
+  },
+  writeJSON(filePath) {
+    fs.outputFileSync(filePath, JSON.stringify(this.toJSON(), null, 2));
+  },
+  toJUnitXML() {
+    let { scenarios, summary } = this.toJSON();
+    let totalTime = 0;
+
+    let testcases = scenarios.map((scenario) => {
+      let time = scenarioTimeInSeconds(scenario);
+      totalTime += time;
+
+      let lines = [
+        `<testcase name="${escapeXML(scenario.name)}" classname="ember-try" time="${time}">`,
+      ];
+
+      if (scenario.result === 'SKIPPED') {
+        lines.push('  <skipped message="Skipped after an earlier scenario failed (--fail-fast)"/>');
+      } else if (!PASSING_STATUSES.includes(scenario.result)) {
+        let message = `Command ${scenario.command} exited ${scenario.exitCode}`;
+        let failedSteps = (scenario.steps || []).filter((step) => {
+          return step.result === 'FAIL' || step.result === 'TIMEOUT';
+        });
+        if (failedSteps.length && scenario.result !== 'HOOK_FAILURE') {
+          message = `Failed steps: ${failedSteps.map((step) => step.name).join(', ')}`;
+        } else if (scenario.result === 'TIMEOUT') {
+          message = `Command ${scenario.command} timed out`;
+        } else if (scenario.result === 'MISMATCH') {
+          message = 'Installed dependency versions do not satisfy the requested ranges';
+        } else if (scenario.result === 'HOOK_FAILURE') {
+          message = scenario.hookFailure.message;
+        }
+
+        if (scenario.allowedToFail) {
+          lines.push(`  <skipped message="${escapeXML(`Allowed to fail: ${message}`)}"/>`);
+        } else {
+          lines.push(`  <failure message="${escapeXML(message)}"/>`);
+        }
+      }
+
+      lines.push(`  <system-out>${cdata(systemOutFor(scenario))}</system-out>`);
+      lines.push('</testcase>');
+
+      return lines.map((line) => `    ${line}`).join('\n');
+    });
+
+    let failures = summary.failed - summary.allowedFailures;
+    let counts = `tests="${summary.total}" failures="${failures}" skipped="${
+      summary.allowedFailures + summary.skipped
+    }" time="${totalTime.toFixed(3)}"`;
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="ember-try" ${counts}>`,
+      `  <testsuite name="ember-try" ${counts}>`,
+      ...testcases,
+      '  </testsuite>',
+      '</testsuites>',
+      '',
+    ].join('\n');
+  },
+  writeJUnit(filePath) {
+    fs.outputFileSync(filePath, this.toJUnitXML());
+  },
 });
+
+function scenarioTimeInSeconds(scenario) {
+  if (!scenario.timing) {
+    return 0;
+  }
+
+  return (scenario.timing.install + scenario.timing.command) / 1000;
+}
+
+function systemOutFor(scenario) {
+  let lines = [`Command run: ${scenario.command}`];
+
+  if (scenario.steps) {
+    scenario.steps.forEach((step) => {
+      lines.push(`  Step ${step.name}: ${STATUS_LABELS[step.result]}`);
+    });
+  }
+
+  if (scenario.attempts > 1) {
+    lines.push(`Attempts: ${scenario.attempts}`);
+  }
+
+  if (Object.keys(scenario.env).length) {
+    lines.push(`with env: ${JSON.stringify(scenario.env, null, 2)}`);
+  }
+
+  let mismatches = scenario.dependencyState.filter((dep) => dep.status !== 'satisfies');
+
+  if (mismatches.length) {
+    lines.push('Dependency mismatches:');
+    mismatches.forEach((dep) => {
+      lines.push(
+        `  ${dep.name}${dep.workspace ? ` (${dep.workspace})` : ''}: expected ${
+          dep.versionExpected || 'Not Installed'
+        }, used ${dep.versionSeen || 'Not Installed'}`
+      );
+    });
+  }
+
+  return lines.join('\n');
+}
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function cdata(value) {
+  return `<![CDATA[${value.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
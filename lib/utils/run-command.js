@@ -3,6 +3,7 @@
 const findEmberPath = require('./find-ember-path');
 const run = require('./run');
 
+// Resolves with whether the command passed and the exit code it exited with.
 module.exports = async function (root, commandArgs, opts) {
   let options = Object.assign({ cwd: root }, opts);
   let [command, ...actualArgs] = commandArgs;
@@ -10,17 +11,24 @@ module.exports = async function (root, commandArgs, opts) {
   try {
     if (command === 'ember') {
       let emberPath = await findEmberPath(root);
-      await run('node', [`"${emberPath}"`, ...actualArgs], options);
+      // Only a shell needs the path quoted
+      if (options.shell !== false) {
+        emberPath = `"${emberPath}"`;
+      }
+      await run('node', [emberPath, ...actualArgs], options);
     } else {
       await run(command, actualArgs, options);
     }
 
-    return true;
+    return { result: true, exitCode: 0 };
   } catch (errorCode) {
-    if (errorCode !== 1) {
-      throw new Error(`The command ${commandArgs.join(' ')} exited ${errorCode}`);
+    if (errorCode && errorCode.timedOut) {
+      throw errorCode;
+    } else if (typeof errorCode !== 'number') {
+      // The command could not be started, so there is no exit code
+      throw new Error(`The command ${commandArgs.join(' ')} could not be run`);
     } else {
-      return false;
+      return { result: false, exitCode: errorCode };
     }
   }
 };
@@ -0,0 +1,31 @@
+'use strict';
+
+const debug = require('debug')('ember-try:utils:run-hook');
+const run = require('./run');
+
+/*
+  Hooks are either shell commands, run in the project root, or functions that
+  get the scenario and its dependency state and may return a promise.
+
+  Failures are rethrown as errors that name the hook, so they can be told
+  apart from failures of the scenario's command.
+*/
+module.exports = async function runHook(name, hook, context, options) {
+  debug('Running %s hook', name);
+
+  try {
+    if (typeof hook === 'function') {
+      await hook(context);
+    } else {
+      let [command, ...args] = hook.split(' ');
+      await run(command, args, options);
+    }
+  } catch (error) {
+    // `run` rejects with the exit code of the command
+    let reason = typeof error === 'number' ? `exited ${error}` : (error && error.message) || error;
+    let hookError = new Error(`The ${name} hook failed: ${reason}`);
+    hookError.hook = name;
+
+    throw hookError;
+  }
+};
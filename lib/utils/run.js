@@ -2,23 +2,76 @@
 
 const execa = require('execa');
 const debug = require('debug')('ember-try:utils:run');
+const killProcessTree = require('./kill-process-tree');
 
-module.exports = async function run(command, args, _options) {
+// The commands that are still running, so they can be killed on Ctrl-C
+const running = new Set();
+
+/*
+  Runs `command` with `args` in a shell by default, as the string it would be
+  typed as. With `shell: false` the arguments are passed to the command as they
+  are, so they need no quoting.
+*/
+async function run(command, args, _options) {
   let options = Object.assign({ stdio: 'inherit', shell: true }, _options);
+  let timeout;
+
+  // execa's own `timeout` only kills the direct child, which is the shell, so
+  // the process tree is killed here instead. Its own process group makes that
+  // easier, but would cut a command reading the terminal off from it.
+  if (typeof options.timeout === 'number') {
+    timeout = options.timeout;
+    delete options.timeout;
+    options.detached = process.platform !== 'win32' && !process.stdin.isTTY;
+  }
 
-  if (process.env.SHUT_UP) {
+  // Output that is read, e.g. from `--version`, is still piped.
+  if (process.env.SHUT_UP && options.stdio === 'inherit') {
     options.stdio = 'ignore';
   }
 
   let cmdArgs = `${command} ${args.join(' ')}`;
+  let child;
+  let timer;
+  let timedOut = false;
+
   try {
-    debug('spawning execa.shell', cmdArgs, options);
+    debug('spawning execa', cmdArgs, options);
+
+    child = options.shell ? execa(cmdArgs, options) : execa(command, args, options);
+    running.add(child);
 
-    return await execa(cmdArgs, options);
+    if (timeout) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        killProcessTree(child.pid);
+      }, timeout);
+    }
+
+    return await child;
   } catch (error) {
     debug('error', error);
 
+    if (timedOut) {
+      let timeoutError = new Error(`The command ${cmdArgs} timed out after ${timeout}ms`);
+      timeoutError.timedOut = true;
+      throw timeoutError;
+    }
+
     // TODO: should refactor this to throw an error (easier to track down stack traces)
     throw error.exitCode;
+  } finally {
+    running.delete(child);
+    clearTimeout(timer);
+  }
+}
+
+// Detached commands don't get the Ctrl-C from the terminal, so they have to be
+// killed along with the processes they started.
+run.killRunning = function () {
+  for (let child of running) {
+    killProcessTree(child.pid);
   }
 };
+
+module.exports = run;
@@ -0,0 +1,161 @@
+'use strict';
+
+const CoreObject = require('core-object');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const debug = require('debug')('ember-try:utils:scenario-cache');
+
+const DEFAULT_DIRECTORY = '.ember-try-cache';
+const METADATA = 'ember-try-cache.json';
+
+/*
+  Keeps a copy of the `node_modules` and lockfile each scenario's install
+  produced, so that later runs of the same scenario can restore them instead
+  of installing again.
+
+  Entries are keyed by the rewritten `package.json`, the lockfile the install
+  starts from, the package manager's version, the options it installs with and
+  the Node version, which native addons are built for, so any change to one of
+  them results in a fresh install.
+*/
+const ScenarioCache = CoreObject.extend({
+  async install(options, install) {
+    let { cwd, packageManager, lockfiles, scenario } = options;
+    let files = ['node_modules'].concat(options.files || [], lockfiles);
+    let packageManagerVersion = await this._versionOf(packageManager, options);
+    let key = this._keyFor(cwd, packageManager, packageManagerVersion, lockfiles, options);
+    let entry = path.join(this.directory, key);
+
+    if (await this._restore(entry, cwd)) {
+      debug('Restored %s from cache entry %s', scenario && scenario.name, key);
+      return;
+    }
+
+    await install();
+    await this._save(entry, cwd, files, {
+      key,
+      scenario: scenario && scenario.name,
+      packageManager,
+      packageManagerVersion,
+      nodeVersion: process.version,
+    });
+  },
+
+  async list() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    let entries = [];
+    for (let key of await fs.readdir(this.directory)) {
+      let metadataFile = path.join(this.directory, key, METADATA);
+
+      // Skips half written entries, which only have their metadata once complete
+      if (fs.existsSync(metadataFile)) {
+        entries.push(Object.assign(await fs.readJson(metadataFile), { key }));
+      }
+    }
+
+    return entries.sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+  },
+
+  async prune({ maxAge }) {
+    let cutoff = Date.now() - maxAge;
+    let pruned = (await this.list()).filter((entry) => Date.parse(entry.lastUsedAt) < cutoff);
+
+    for (let entry of pruned) {
+      debug('Pruning cache entry %s', entry.key);
+      await fs.remove(path.join(this.directory, entry.key));
+    }
+
+    return pruned;
+  },
+
+  async clear() {
+    let entries = await this.list();
+    await fs.remove(this.directory);
+
+    return entries;
+  },
+
+  async _versionOf(packageManager, { cwd, run }) {
+    let result = await run(packageManager, ['--version'], { cwd, stdio: 'pipe' });
+
+    return result.stdout.trim();
+  },
+
+  _keyFor(cwd, packageManager, packageManagerVersion, lockfiles, { installOptions }) {
+    let hash = crypto.createHash('sha256');
+    hash.update(`${packageManager}@${packageManagerVersion}\0`);
+    hash.update(`node@${process.version}\0`);
+    hash.update(`${JSON.stringify(installOptions || [])}\0`);
+
+    for (let file of ['package.json'].concat(lockfiles)) {
+      let filePath = path.join(cwd, file);
+      if (fs.existsSync(filePath)) {
+        hash.update(`${file}\0`);
+        hash.update(fs.readFileSync(filePath));
+      }
+    }
+
+    return hash.digest('hex').slice(0, 16);
+  },
+
+  async _restore(entry, cwd) {
+    let metadataFile = path.join(entry, METADATA);
+    if (!fs.existsSync(metadataFile)) {
+      return false;
+    }
+
+    let metadata = await fs.readJson(metadataFile);
+    for (let file of metadata.files) {
+      await fs.remove(path.join(cwd, file));
+      await fs.copy(path.join(entry, file), path.join(cwd, file));
+    }
+
+    metadata.lastUsedAt = new Date().toISOString();
+    await fs.writeJson(metadataFile, metadata, { spaces: 2 });
+
+    return true;
+  },
+
+  async _save(entry, cwd, files, metadata) {
+    let savedFiles = files.filter((file) => fs.existsSync(path.join(cwd, file)));
+    let now = new Date().toISOString();
+
+    // Copies into a temporary directory first, so an interrupted run never
+    // leaves an incomplete entry behind under its real key. Parallel scenarios
+    // share the cache, so the name is unique within the process as well.
+    let tmpEntry = `${entry}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.remove(tmpEntry);
+
+    for (let file of savedFiles) {
+      await fs.copy(path.join(cwd, file), path.join(tmpEntry, file));
+    }
+
+    await fs.writeJson(
+      path.join(tmpEntry, METADATA),
+      Object.assign({}, metadata, { files: savedFiles, createdAt: now, lastUsedAt: now }),
+      { spaces: 2 }
+    );
+
+    await fs.remove(entry);
+    await fs.move(tmpEntry, entry);
+
+    debug('Saved cache entry %s with %s', metadata.key, savedFiles.join(', '));
+  },
+});
+
+// Returns the cache configured with `cache` in the ember-try config, if any.
+ScenarioCache.fromConfig = function (config, root) {
+  if (!config || !config.cache) {
+    return;
+  }
+
+  let directory = (typeof config.cache === 'object' && config.cache.directory) || DEFAULT_DIRECTORY;
+
+  return new ScenarioCache({ directory: path.resolve(root, directory) });
+};
+
+module.exports = ScenarioCache;
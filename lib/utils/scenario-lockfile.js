@@ -0,0 +1,49 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const debug = require('debug')('ember-try:utils:scenario-lockfile');
+
+/*
+  With `preserveLockfile`, scenarios install from a lockfile instead of
+  floating their dependencies. They start from the lockfile saved for the
+  scenario in `preserveLockfile.directory`, when there is one, and otherwise
+  from the project's original lockfile, so that only the packages the scenario
+  changes are resolved again.
+*/
+
+// Returns the directory the per-scenario lockfiles are saved in, if any.
+function lockfileDirectoryFor(config, root) {
+  let { preserveLockfile } = config;
+
+  if (preserveLockfile && typeof preserveLockfile === 'object' && preserveLockfile.directory) {
+    return path.resolve(root, preserveLockfile.directory);
+  }
+}
+
+function scenarioLockfilePath(directory, scenario, lockfile) {
+  return path.join(directory, scenario.name.replace(/[^\w.-]+/g, '-'), lockfile);
+}
+
+async function restoreScenarioLockfile({ cwd, lockfile, backup, directory, scenario }) {
+  let saved = directory && scenario && scenarioLockfilePath(directory, scenario, lockfile);
+  let source = saved && fs.existsSync(saved) ? saved : path.join(cwd, backup);
+
+  if (fs.existsSync(source)) {
+    debug('Starting from %s', source);
+    await fs.copy(source, path.join(cwd, lockfile));
+  }
+}
+
+async function saveScenarioLockfile({ cwd, lockfile, directory, scenario }) {
+  let lockfilePath = path.join(cwd, lockfile);
+
+  if (directory && scenario && fs.existsSync(lockfilePath)) {
+    let saved = scenarioLockfilePath(directory, scenario, lockfile);
+
+    debug('Saving %s to %s', lockfile, saved);
+    await fs.copy(lockfilePath, saved);
+  }
+}
+
+module.exports = { lockfileDirectoryFor, restoreScenarioLockfile, saveScenarioLockfile };
@@ -16,15 +16,28 @@ module.exports = CoreObject.extend({
     for (let depManager of this.dependencyManagerAdapters) {
       if (scenario[depManager.configKey]) {
         let depManagerResults = await depManager.changeToDependencySet(
-          scenario[depManager.configKey]
+          scenario[depManager.configKey],
+          scenario
         );
-        results.push(...depManagerResults);
+        // Custom adapters don't have to report any dependencies
+        results.push(...(depManagerResults || []));
       }
     }
 
     return results;
   },
 
+  async changesFor(scenario) {
+    let changes = [];
+    for (let depManager of this.dependencyManagerAdapters) {
+      if (scenario[depManager.configKey] && depManager.changesForDependencySet) {
+        changes.push(...(await depManager.changesForDependencySet(scenario[depManager.configKey])));
+      }
+    }
+
+    return changes;
+  },
+
   async cleanup() {
     for (let depManager of this.dependencyManagerAdapters) {
       await depManager.cleanup();
@@ -0,0 +1,326 @@
+'use strict';
+
+const debug = require('debug')('ember-try:utils:validate-config');
+const { configKeyOf } = require('./custom-adapters');
+
+const CONFIG_SCHEMA = {
+  command: ['string', 'object', 'array'],
+  continueOnStepFailure: 'boolean',
+  shell: 'boolean',
+  npmOptions: 'array',
+  useVersionCompatibility: 'boolean',
+  useYarn: 'boolean',
+  usePnpm: 'boolean',
+  useBun: 'boolean',
+  useWorkspaces: 'boolean',
+  buildManagerOptions: 'function',
+  reportJson: 'string',
+  timeout: 'number',
+  retries: 'number',
+  strictVersions: 'boolean',
+  cache: ['boolean', 'object'],
+  preserveLockfile: ['boolean', 'object'],
+  adapters: 'array',
+  hooks: 'object',
+  scenarios: 'array',
+};
+
+const SCENARIO_SCHEMA = {
+  name: 'string',
+  command: ['string', 'object', 'array'],
+  continueOnStepFailure: 'boolean',
+  shell: 'boolean',
+  env: 'object',
+  allowedToFail: 'boolean',
+  timeout: 'number',
+  retries: 'number',
+  tags: 'array',
+  hooks: 'object',
+  npm: 'object',
+  // No longer supported, but still accepted here so that the dependency
+  // manager adapter factory can explain why.
+  bower: 'object',
+  dependencies: 'object',
+  devDependencies: 'object',
+};
+
+const STEP_SCHEMA = {
+  name: 'string',
+  command: ['string', 'object'],
+};
+
+const ARGV_SCHEMA = {
+  argv: 'array',
+};
+
+const HOOKS_SCHEMA = {
+  beforeAll: ['string', 'function'],
+  beforeEach: ['string', 'function'],
+  afterEach: ['string', 'function'],
+  afterAll: ['string', 'function'],
+};
+
+// Scenarios only run once, so they can only have hooks around their own run.
+const SCENARIO_HOOKS_SCHEMA = {
+  beforeEach: HOOKS_SCHEMA.beforeEach,
+  afterEach: HOOKS_SCHEMA.afterEach,
+};
+
+const DEPENDENCY_SET_SCHEMA = {
+  dependencies: 'object',
+  devDependencies: 'object',
+  peerDependencies: 'object',
+  ember: 'object',
+  overrides: 'object',
+  resolutions: 'object',
+};
+
+const NPM_SCHEMA = Object.assign({}, DEPENDENCY_SET_SCHEMA, {
+  workspaces: ['array', 'object'],
+});
+
+const DEPENDENCY_KEYS = ['dependencies', 'devDependencies', 'peerDependencies', 'resolutions'];
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      let substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function suggestionFor(key, knownKeys) {
+  let best;
+  let bestDistance = Infinity;
+
+  for (let knownKey of knownKeys) {
+    let distance = levenshtein(key.toLowerCase(), knownKey.toLowerCase());
+    if (distance < bestDistance) {
+      best = knownKey;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : undefined;
+}
+
+function checkObject(object, schema, location, errors) {
+  for (let key of Object.keys(object)) {
+    let path = location ? `${location}.${key}` : key;
+
+    if (!schema[key]) {
+      let message = `Unknown key \`${path}\``;
+      let suggestion = suggestionFor(key, Object.keys(schema));
+      if (suggestion) {
+        message = `${message}, did you mean \`${suggestion}\`?`;
+      }
+      errors.push(message);
+      continue;
+    }
+
+    if (schema[key] === 'any') {
+      continue;
+    }
+
+    let expectedTypes = [].concat(schema[key]);
+    let actualType = typeOf(object[key]);
+    if (object[key] !== undefined && !expectedTypes.includes(actualType)) {
+      errors.push(`\`${path}\` must be of type ${expectedTypes.join(' or ')}, got ${actualType}`);
+    }
+  }
+}
+
+// Commands are a string or an `{ argv }` list of arguments. A list of them is
+// a list of steps, which can also be `{ name, command }` objects.
+function checkCommand(command, location, errors) {
+  if (typeOf(command) === 'object') {
+    checkArgv(command, location, errors);
+  } else if (Array.isArray(command)) {
+    checkSteps(command, location, errors);
+  }
+}
+
+function checkArgv(command, location, errors) {
+  checkObject(command, ARGV_SCHEMA, location, errors);
+
+  let { argv } = command;
+  if (argv === undefined) {
+    errors.push(`\`${location}\` is missing an \`argv\``);
+  } else if (
+    Array.isArray(argv) &&
+    (argv.length === 0 || !argv.every((arg) => typeof arg === 'string'))
+  ) {
+    errors.push(`\`${location}.argv\` must be a non-empty list of strings`);
+  }
+}
+
+function checkSteps(steps, location, errors) {
+  if (steps.length === 0) {
+    errors.push(`\`${location}\` must not be empty`);
+  }
+
+  steps.forEach((step, index) => {
+    let stepLocation = `${location}[${index}]`;
+    let type = typeOf(step);
+
+    if (type === 'object') {
+      checkObject(step, STEP_SCHEMA, stepLocation, errors);
+
+      if (step.command === undefined) {
+        errors.push(`\`${stepLocation}\` is missing a \`command\``);
+      } else if (typeOf(step.command) === 'object') {
+        checkArgv(step.command, `${stepLocation}.command`, errors);
+      }
+    } else if (type !== 'string') {
+      errors.push(`\`${stepLocation}\` must be of type string or object, got ${type}`);
+    }
+  });
+}
+
+function checkNpm(npm, location, errors) {
+  checkDependencySet(npm, NPM_SCHEMA, location, errors);
+
+  if (typeOf(npm.workspaces) !== 'object') {
+    return;
+  }
+
+  for (let [name, depSet] of Object.entries(npm.workspaces)) {
+    let workspaceLocation = `${location}.workspaces.${name}`;
+
+    if (typeOf(depSet) === 'object') {
+      checkDependencySet(depSet, DEPENDENCY_SET_SCHEMA, workspaceLocation, errors);
+    } else {
+      errors.push(`\`${workspaceLocation}\` must be of type object, got ${typeOf(depSet)}`);
+    }
+  }
+}
+
+function checkDependencySet(depSet, schema, location, errors) {
+  checkObject(depSet, schema, location, errors);
+
+  for (let key of DEPENDENCY_KEYS) {
+    if (typeOf(depSet[key]) !== 'object') {
+      continue;
+    }
+
+    for (let [name, version] of Object.entries(depSet[key])) {
+      if (typeof version !== 'string' && version !== null) {
+        errors.push(
+          `\`${location}.${key}.${name}\` must be a version string or null, got ${typeOf(version)}`
+        );
+      }
+    }
+  }
+}
+
+// Custom adapters read their own key from each scenario, in whatever shape
+// they need.
+function scenarioSchemaFor(adapters, errors) {
+  let scenarioSchema = Object.assign({}, SCENARIO_SCHEMA);
+
+  adapters.forEach((adapter, index) => {
+    let location = `adapters[${index}]`;
+    let type = typeOf(adapter);
+
+    // Module paths are only resolved when the config is loaded
+    if (type === 'string') {
+      return;
+    }
+
+    if (type !== 'object' && type !== 'function') {
+      errors.push(`\`${location}\` must be a module path, an object or a class, got ${type}`);
+    } else if (typeof configKeyOf(adapter) !== 'string') {
+      errors.push(`\`${location}\` is missing a \`configKey\``);
+    } else if (!scenarioSchema[configKeyOf(adapter)]) {
+      scenarioSchema[configKeyOf(adapter)] = 'any';
+    }
+  });
+
+  return scenarioSchema;
+}
+
+function checkScenarios(scenarios, scenarioSchema, errors) {
+  let seenNames = new Map();
+
+  scenarios.forEach((scenario, index) => {
+    let location = `scenarios[${index}]`;
+
+    if (typeOf(scenario) !== 'object') {
+      errors.push(`\`${location}\` must be of type object, got ${typeOf(scenario)}`);
+      return;
+    }
+
+    if (scenario.name === undefined) {
+      errors.push(`\`${location}\` is missing a \`name\``);
+    } else if (seenNames.has(scenario.name)) {
+      errors.push(
+        `\`${location}\` has the same name "${scenario.name}" as \`scenarios[${seenNames.get(
+          scenario.name
+        )}]\``
+      );
+    } else {
+      seenNames.set(scenario.name, index);
+    }
+
+    checkObject(scenario, scenarioSchema, location, errors);
+
+    checkCommand(scenario.command, `${location}.command`, errors);
+
+    if (typeOf(scenario.hooks) === 'object') {
+      checkObject(scenario.hooks, SCENARIO_HOOKS_SCHEMA, `${location}.hooks`, errors);
+    }
+
+    if (typeOf(scenario.npm) === 'object') {
+      checkNpm(scenario.npm, `${location}.npm`, errors);
+    }
+  });
+}
+
+/*
+  Checks the shape of an ember-try config and throws a single error listing
+  every problem found, so typos don't silently do nothing.
+*/
+module.exports = function validateConfig(config) {
+  let errors = [];
+
+  checkObject(config, CONFIG_SCHEMA, '', errors);
+
+  checkCommand(config.command, 'command', errors);
+
+  if (typeOf(config.hooks) === 'object') {
+    checkObject(config.hooks, HOOKS_SCHEMA, 'hooks', errors);
+  }
+
+  let scenarioSchema = Array.isArray(config.adapters)
+    ? scenarioSchemaFor(config.adapters, errors)
+    : SCENARIO_SCHEMA;
+
+  if (Array.isArray(config.scenarios)) {
+    checkScenarios(config.scenarios, scenarioSchema, errors);
+  }
+
+  debug('Found %s problems', errors.length);
+
+  if (errors.length) {
+    throw new Error(
+      `Invalid ember-try configuration:\n${errors.map((error) => `  - ${error}`).join('\n')}`
+    );
+  }
+
+  return config;
+};
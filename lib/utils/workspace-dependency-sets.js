@@ -0,0 +1,63 @@
+'use strict';
+
+const DEPENDENCY_KINDS = [
+  'dependencies',
+  'devDependencies',
+  'peerDependencies',
+  'resolutions',
+  'overrides',
+  'ember',
+];
+
+function findPackage(packages, nameOrPath) {
+  let pkg = packages.find((pkg) => pkg.name === nameOrPath || pkg.path === nameOrPath);
+
+  if (!pkg) {
+    throw new Error(
+      `Unknown workspace package \`${nameOrPath}\`, expected one of: ${packages
+        .map((pkg) => pkg.name)
+        .join(', ')}`
+    );
+  }
+
+  return pkg;
+}
+
+function mergeDependencySets(shared, own) {
+  let depSet = {};
+
+  for (let kind of DEPENDENCY_KINDS) {
+    if (shared[kind] || own[kind]) {
+      depSet[kind] = Object.assign({}, shared[kind], own[kind]);
+    }
+  }
+
+  return depSet;
+}
+
+/*
+  Works out which workspace packages a scenario changes, and how. `workspaces`
+  can be a list of package names (or paths) that all get the scenario's
+  dependency set, or an object with a dependency set per package which is
+  merged with the scenario's shared one. Without it every package is changed.
+
+  Returns a list of `{ pkg, depSet }`, in the order the packages were given.
+*/
+module.exports = function workspaceDependencySets(depSet, packages) {
+  let { workspaces } = depSet;
+
+  if (!workspaces) {
+    return packages.map((pkg) => ({ pkg, depSet }));
+  }
+
+  if (Array.isArray(workspaces)) {
+    return workspaces.map((nameOrPath) => ({ pkg: findPackage(packages, nameOrPath), depSet }));
+  }
+
+  return Object.keys(workspaces).map((nameOrPath) => {
+    return {
+      pkg: findPackage(packages, nameOrPath),
+      depSet: mergeDependencySets(depSet, workspaces[nameOrPath]),
+    };
+  });
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+const expect = require('chai').expect;
+const fs = require('fs-extra');
+const path = require('path');
+const tmp = require('tmp-sync');
+const { run, parseArgs } = require('../../lib/cli');
+
+const root = process.cwd();
+const tmproot = path.join(root, 'tmp');
+
+describe('cli', () => {
+  let tmpdir, output, ui;
+
+  beforeEach(async () => {
+    tmpdir = tmp.in(tmproot);
+    output = [];
+    ui = { writeLine: (line) => output.push(line) };
+
+    await fs.outputJson(path.join(tmpdir, 'package.json'), { name: 'my-v2-addon' });
+    await fs.outputFile(
+      path.join(tmpdir, 'config/ember-try.js'),
+      `module.exports = {
+        scenarios: [
+          { name: 'passing', command: 'node -e "process.exit(0)"' },
+          { name: 'failing', command: 'node -e "process.exit(1)"' },
+        ],
+      };`
+    );
+  });
+
+  afterEach(async () => {
+    process.chdir(root);
+    await fs.remove(tmproot);
+  });
+
+  describe('parseArgs', () => {
+    let availableOptions = [
+      { name: 'skip-cleanup', type: Boolean, default: false },
+      { name: 'config-path', type: String },
+      { name: 'parallel', type: Number, default: 1 },
+    ];
+
+    it('parses options like ember-cli does', () => {
+      let { commandOptions, rawArgs } = parseArgs(
+        'one',
+        ['default', '--skip-cleanup', '--config-path=config/legacy.js', '--parallel', '2'],
+        availableOptions
+      );
+
+      expect(rawArgs).to.deep.equal(['default']);
+      expect(commandOptions).to.deep.equal({
+        skipCleanup: true,
+        configPath: 'config/legacy.js',
+        parallel: 2,
+      });
+    });
+
+    it('applies defaults and negated booleans', () => {
+      let { commandOptions } = parseArgs('each', ['--no-skip-cleanup'], availableOptions);
+
+      expect(commandOptions).to.deep.equal({ skipCleanup: false, parallel: 1 });
+    });
+
+    it('reads the values of booleans', () => {
+      expect(
+        parseArgs('each', ['--skip-cleanup=false'], availableOptions).commandOptions.skipCleanup
+      ).to.be.false;
+      expect(
+        parseArgs('each', ['--skip-cleanup=true'], availableOptions).commandOptions.skipCleanup
+      ).to.be.true;
+      expect(
+        parseArgs('each', ['--no-skip-cleanup=false'], availableOptions).commandOptions.skipCleanup
+      ).to.be.true;
+      expect(() => parseArgs('each', ['--skip-cleanup=yes'], availableOptions)).to.throw(
+        'The `--skip-cleanup` option must be `true` or `false`'
+      );
+    });
+
+    it('leaves everything after `---` to the command', () => {
+      let { commandOptions, rawArgs } = parseArgs(
+        'one',
+        ['default', '---', 'ember', 'test', '--parallel', 'x'],
+        availableOptions
+      );
+
+      expect(rawArgs).to.deep.equal(['default']);
+      expect(commandOptions.parallel).to.equal(1);
+    });
+
+    it('errors for unknown and invalid options', () => {
+      expect(() => parseArgs('each', ['--paralel', '2'], availableOptions)).to.throw(
+        'Unknown option `--paralel` for `ember-try each`'
+      );
+      expect(() => parseArgs('each', ['--parallel', 'many'], availableOptions)).to.throw(
+        'The `--parallel` option must be a number'
+      );
+      expect(() => parseArgs('each', ['--config-path'], availableOptions)).to.throw(
+        'The `--config-path` option requires a value'
+      );
+    });
+  });
+
+  describe('run', () => {
+    it('prints the config, finding the project root from a subdirectory', async () => {
+      await fs.ensureDir(path.join(tmpdir, 'src'));
+
+      let exitCode = await run(['config'], { cwd: path.join(tmpdir, 'src'), ui });
+
+      expect(exitCode).to.equal(0);
+      expect(
+        JSON.parse(output.join('\n')).scenarios.map((scenario) => scenario.name)
+      ).to.deep.equal(['passing', 'failing']);
+    });
+
+    it('runs the scenarios and returns the exit code', async function () {
+      this.timeout(30000);
+
+      expect(await run(['one', 'passing'], { cwd: tmpdir, ui })).to.equal(0);
+      expect(await run(['each', '--filter', 'failing'], { cwd: tmpdir, ui })).to.equal(1);
+    });
+
+    it('prints an error for unknown commands', async () => {
+      let exitCode = await run(['test'], { cwd: tmpdir, ui });
+
+      expect(exitCode).to.equal(1);
+      expect(output[0]).to.include(
+        'Unknown command `test`, expected one of: each, one, ember, config, reset, cache'
+      );
+    });
+
+    it('errors outside of a project', async () => {
+      let exitCode = await run(['config'], { cwd: path.parse(tmpdir).root, ui });
+
+      expect(exitCode).to.equal(1);
+      expect(output[0]).to.include('ember-try must be run inside a project with a package.json');
+    });
+  });
+});
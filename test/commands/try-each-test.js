@@ -39,5 +39,38 @@ describe('commands/try-each', () => {
       TryEachCommand.run({ configPath: 'foo/bar/widget.js' }, ['foo']);
       expect(configPath).to.equal('foo/bar/widget.js');
     });
+
+    it('validates the config', async () => {
+      mockConfig = { scenarios: [{ name: 'foo', allowToFail: true }] };
+
+      let error;
+      try {
+        await TryEachCommand.run({}, []);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.include('Unknown key `scenarios[0].allowToFail`');
+    });
+
+    it('only passes the scenarios selected by filter, exclude and tags to the task', async () => {
+      mockConfig = {
+        scenarios: [
+          { name: 'ember-lts', tags: ['lts'] },
+          { name: 'ember-release' },
+          { name: 'ember-canary', tags: ['lts'] },
+        ],
+      };
+
+      let scenarios;
+      TryEachCommand._TryEachTask = function () {};
+      TryEachCommand._TryEachTask.prototype.run = function (_scenarios) {
+        scenarios = _scenarios;
+      };
+
+      await TryEachCommand.run({ filter: 'ember-*', exclude: '*canary', tags: 'lts' }, []);
+
+      expect(scenarios.map((scenario) => scenario.name)).to.eql(['ember-lts']);
+    });
   });
 });
@@ -104,6 +104,35 @@ describe('commands/try-one', () => {
         'true',
       ]);
     });
+
+    it('passes the command line through unsplit', async () => {
+      let options;
+      TryOneCommand._TryEachTask = function (opts) {
+        options = opts;
+      };
+      TryOneCommand._TryEachTask.prototype.run = async function () {};
+      TryOneCommand._commandLineArguments = function () {
+        return [
+          'node',
+          'ember',
+          'try:one',
+          'default',
+          '---',
+          'ember',
+          'test',
+          '--filter',
+          'my module',
+        ];
+      };
+      TryOneCommand._getConfig = async function () {
+        return { scenarios: [{ name: 'default' }] };
+      };
+
+      await TryOneCommand.run({ shell: true }, ['default']);
+
+      expect(options.commandArgs).to.eql(['ember', 'test', '--filter', 'my module']);
+      expect(options.shell).to.equal(true);
+    });
   });
 });
 
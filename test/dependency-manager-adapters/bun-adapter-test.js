@@ -0,0 +1,180 @@
+'use strict';
+
+let expect = require('chai').expect;
+let fs = require('fs-extra');
+let path = require('path');
+let tmp = require('tmp-sync');
+let BunAdapter = require('../../lib/dependency-manager-adapters/bun');
+let generateMockRun = require('../helpers/generate-mock-run');
+
+let root = process.cwd();
+let tmproot = path.join(root, 'tmp');
+let tmpdir;
+
+describe('bun Adapter', () => {
+  beforeEach(() => {
+    tmpdir = tmp.in(tmproot);
+    process.chdir(tmpdir);
+  });
+
+  afterEach(async () => {
+    process.chdir(root);
+    await fs.remove(tmproot);
+  });
+
+  describe('#setup', () => {
+    it('backs up the `package.json` and `bun.lockb` files', async () => {
+      await fs.outputJson('package.json', { originalPackageJSON: true });
+      await fs.outputFile('bun.lockb', 'originalBinaryLock');
+
+      let adapter = new BunAdapter({ cwd: tmpdir });
+      await adapter.setup();
+
+      expect(await fs.readJson('package.json.ember-try')).to.deep.equal({
+        originalPackageJSON: true,
+      });
+      expect(await fs.readFile('bun.ember-try.lockb', 'utf-8')).to.equal('originalBinaryLock');
+      expect(fs.existsSync('bun.ember-try.lock')).to.be.false;
+    });
+
+    it('backs up text based `bun.lock` files', async () => {
+      await fs.outputJson('package.json', { originalPackageJSON: true });
+      await fs.outputFile('bun.lock', '{ "originalLock": true }\n');
+
+      let adapter = new BunAdapter({ cwd: tmpdir });
+      await adapter.setup();
+
+      expect(await fs.readFile('bun.ember-try.lock', 'utf-8')).to.equal(
+        '{ "originalLock": true }\n'
+      );
+      expect(fs.existsSync('bun.ember-try.lockb')).to.be.false;
+    });
+  });
+
+  describe('#changeToDependencySet', () => {
+    it('updates the `package.json` and runs `bun install`', async () => {
+      await fs.outputJson('package.json', {
+        devDependencies: {
+          'ember-try-test-suite-helper': '0.1.0',
+        },
+      });
+      await fs.outputFile('bun.lock', 'originalLock\n');
+
+      let runCount = 0;
+      let stubbedRun = generateMockRun(
+        [
+          {
+            command: 'bun install',
+            async callback(command, args, opts) {
+              runCount++;
+              expect(opts).to.have.property('cwd', tmpdir);
+              expect(await fs.readFile('bun.lock', 'utf-8')).to.equal('originalLock\n');
+            },
+          },
+        ],
+        { allowPassthrough: false }
+      );
+
+      let adapter = new BunAdapter({
+        cwd: tmpdir,
+        run: stubbedRun,
+      });
+
+      await adapter.setup();
+      await fs.outputFile('bun.lock', 'previousScenarioLock\n');
+
+      let result = await adapter.changeToDependencySet({
+        devDependencies: {
+          'ember-try-test-suite-helper': '1.0.0',
+        },
+        overrides: {
+          'ember-source': '5.4.0',
+        },
+      });
+
+      expect(result).to.deep.equal([
+        {
+          name: 'ember-try-test-suite-helper',
+          packageManager: 'bun',
+          versionExpected: '1.0.0',
+          versionSeen: null,
+        },
+      ]);
+
+      expect(await fs.readJson('package.json')).to.deep.equal({
+        devDependencies: {
+          'ember-try-test-suite-helper': '1.0.0',
+        },
+        overrides: {
+          'ember-source': '5.4.0',
+        },
+      });
+
+      expect(runCount).to.equal(1);
+    });
+
+    it('passes the configured manager options', async () => {
+      await fs.outputJson('package.json', {});
+
+      let runCount = 0;
+      let stubbedRun = generateMockRun(
+        [
+          {
+            command: 'bun install --no-save',
+            async callback() {
+              runCount++;
+            },
+          },
+        ],
+        { allowPassthrough: false }
+      );
+
+      let adapter = new BunAdapter({
+        cwd: tmpdir,
+        run: stubbedRun,
+        managerOptions: ['--no-save'],
+      });
+
+      await adapter.setup();
+      await adapter.changeToDependencySet({ devDependencies: {} });
+
+      expect(runCount).to.equal(1);
+    });
+  });
+
+  describe('#cleanup', () => {
+    it('restores the `package.json` and lockfiles, and then runs `bun install`', async () => {
+      await fs.outputJson('package.json', { modifiedPackageJSON: true });
+      await fs.outputJson('package.json.ember-try', { originalPackageJSON: true });
+      await fs.outputFile('bun.lockb', 'modifiedBinaryLock');
+      await fs.outputFile('bun.ember-try.lockb', 'originalBinaryLock');
+
+      let runCount = 0;
+      let stubbedRun = generateMockRun(
+        [
+          {
+            command: 'bun install',
+            async callback(command, args, opts) {
+              runCount++;
+              expect(opts).to.have.property('cwd', tmpdir);
+            },
+          },
+        ],
+        { allowPassthrough: false }
+      );
+
+      let adapter = new BunAdapter({
+        cwd: tmpdir,
+        run: stubbedRun,
+      });
+      await adapter.cleanup();
+
+      expect(await fs.readJson('package.json')).to.deep.equal({ originalPackageJSON: true });
+      expect(await fs.readFile('bun.lockb', 'utf-8')).to.equal('originalBinaryLock');
+      expect(fs.existsSync('package.json.ember-try')).to.be.false;
+      expect(fs.existsSync('bun.ember-try.lockb')).to.be.false;
+
+      expect(runCount).to.equal(1);
+    });
+  });
+});
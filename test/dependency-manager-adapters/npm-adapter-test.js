@@ -343,12 +343,124 @@ describe('npmAdapter', () => {
     });
   });
 
+  describe('with `preserveLockfile`', () => {
+    it('installs from the original package-lock.json and saves the lockfile per scenario', async () => {
+      writeJSONFile('package.json', fixturePackage);
+      writeJSONFile('package-lock.json', { originalPackageLock: true });
+
+      let stubbedRun = generateMockRun(
+        [
+          {
+            command: 'npm install',
+            async callback() {
+              expect(await fs.readJson('package-lock.json')).to.deep.equal({
+                originalPackageLock: true,
+              });
+              writeJSONFile('package-lock.json', { scenarioPackageLock: true });
+            },
+          },
+          {
+            command: 'npm --version',
+            async callback() {
+              return { stdout: '10.2.4' };
+            },
+          },
+        ],
+        { allowPassthrough: false }
+      );
+
+      let adapter = new NpmAdapter({
+        cwd: tmpdir,
+        run: stubbedRun,
+        preserveLockfile: true,
+        lockfileDirectory: path.join(tmpdir, 'lockfiles'),
+      });
+      await adapter.setup({ ui: { writeLine() {} } });
+
+      let scenario = { name: 'ember-lts-5.4', npm: {} };
+      await adapter.changeToDependencySet(scenario.npm, scenario);
+      writeJSONFile('lockfiles/ember-lts-5.4/package-lock.json', { originalPackageLock: true });
+      await adapter.changeToDependencySet(scenario.npm, scenario);
+
+      assertFileContainsJSON(path.join(tmpdir, 'lockfiles/ember-lts-5.4/package-lock.json'), {
+        scenarioPackageLock: true,
+      });
+
+      await adapter.cleanup();
+
+      assertFileContainsJSON(path.join(tmpdir, 'package-lock.json'), {
+        originalPackageLock: true,
+      });
+    });
+
+    it('starts from the lockfile saved for the scenario', async () => {
+      writeJSONFile('package.json', fixturePackage);
+      writeJSONFile('yarn.lock', { originalYarnLock: true });
+      fs.outputJsonSync('lockfiles/ember-release/yarn.lock', { savedYarnLock: true });
+
+      let runCount = 0;
+      let stubbedRun = generateMockRun(
+        [
+          {
+            command: 'yarn install --ignore-engines',
+            async callback() {
+              runCount++;
+              expect(await fs.readJson('yarn.lock')).to.deep.equal({ savedYarnLock: true });
+            },
+          },
+        ],
+        { allowPassthrough: false }
+      );
+
+      let adapter = new NpmAdapter({
+        cwd: tmpdir,
+        run: stubbedRun,
+        useYarnCommand: true,
+        preserveLockfile: true,
+        lockfileDirectory: path.join(tmpdir, 'lockfiles'),
+      });
+      await adapter.setup();
+      await adapter.changeToDependencySet({}, { name: 'ember-release', npm: {} });
+
+      expect(runCount).to.equal(1);
+    });
+
+    it('removes the lockfile at cleanup if the project did not have one', async () => {
+      writeJSONFile('package.json', fixturePackage);
+
+      let stubbedRun = generateMockRun(
+        [
+          {
+            command: 'yarn install --ignore-engines',
+            async callback() {
+              writeJSONFile('yarn.lock', { scenarioYarnLock: true });
+            },
+          },
+        ],
+        { allowPassthrough: false }
+      );
+
+      let adapter = new NpmAdapter({
+        cwd: tmpdir,
+        run: stubbedRun,
+        useYarnCommand: true,
+        preserveLockfile: true,
+      });
+      await adapter.setup();
+      await adapter.changeToDependencySet({}, { name: 'ember-release', npm: {} });
+      await adapter.cleanup();
+
+      expect(fs.existsSync('yarn.lock')).to.be.false;
+    });
+  });
+
   describe('#_restoreOriginalDependencies', () => {
     it('replaces the package.json with the backed up version', async () => {
       writeJSONFile('package.json.ember-try', { originalPackageJSON: true });
       writeJSONFile('package.json', { originalPackageJSON: false });
       fs.mkdirSync('.node_modules.ember-try');
       writeJSONFile('.node_modules.ember-try/prove-it.json', { originalNodeModules: true });
+      fs.writeFileSync('.node_modules.ember-try/.ember-try-backup-complete', '');
 
       let adapter = new NpmAdapter({ cwd: tmpdir });
       await adapter._restoreOriginalDependencies();
@@ -364,6 +476,7 @@ describe('npmAdapter', () => {
       writeJSONFile('package.json', { originalPackageJSON: false });
       fs.mkdirSync('.node_modules.ember-try');
       writeJSONFile('.node_modules.ember-try/prove-it.json', { originalNodeModules: true });
+      fs.writeFileSync('.node_modules.ember-try/.ember-try-backup-complete', '');
       writeJSONFile('yarn.lock.ember-try', { originalYarnLock: true });
       writeJSONFile('yarn.lock', { originalYarnLock: false });
       writeJSONFile('npm-shrinkwrap.json.ember-try', { originalNpmShrinkWrap: true });
@@ -5,6 +5,7 @@ let fs = require('fs-extra');
 let path = require('path');
 let tmp = require('tmp-sync');
 let PnpmAdapter = require('../../lib/dependency-manager-adapters/pnpm');
+let ScenarioCache = require('../../lib/utils/scenario-cache');
 let generateMockRun = require('../helpers/generate-mock-run');
 
 let root = process.cwd();
@@ -112,6 +113,89 @@ describe('pnpm Adapter', () => {
 
       expect(runCount).to.equal(1);
     });
+
+    it('restores cached installs instead of running `pnpm install` again', async () => {
+      await fs.outputJson('package.json', { devDependencies: { 'ember-source': '~5.4.0' } });
+
+      let runCount = 0;
+      let stubbedRun = generateMockRun(
+        [
+          {
+            command: 'pnpm --version',
+            async callback() {
+              return { stdout: '8.15.1\n' };
+            },
+          },
+          {
+            command: 'pnpm install --no-lockfile',
+            async callback() {
+              runCount++;
+              await fs.outputJson('node_modules/ember-source/package.json', { version: '5.4.2' });
+            },
+          },
+        ],
+        { allowPassthrough: false }
+      );
+
+      let adapter = new PnpmAdapter({
+        cwd: tmpdir,
+        run: stubbedRun,
+        cache: new ScenarioCache({ directory: path.join(tmpdir, '.ember-try-cache') }),
+      });
+      await adapter.setup();
+
+      let scenario = { name: 'ember-lts-5.4', npm: { devDependencies: {} } };
+      await adapter.changeToDependencySet(scenario.npm, scenario);
+      await fs.remove('node_modules');
+
+      let result = await adapter.changeToDependencySet(
+        { devDependencies: { 'ember-source': '~5.4.0' } },
+        scenario
+      );
+
+      expect(runCount).to.equal(1);
+      expect(result[0]).to.have.property('versionSeen', '5.4.2');
+      expect((await adapter.cache.list())[0]).to.have.property('scenario', 'ember-lts-5.4');
+    });
+  });
+
+  describe('with `preserveLockfile`', () => {
+    it('runs `pnpm install` with the original lockfile', async () => {
+      await fs.outputJson('package.json', { devDependencies: { 'ember-source': '~4.12.0' } });
+      await fs.outputFile('pnpm-lock.yaml', 'originalYAML: true\n');
+
+      let runCount = 0;
+      let stubbedRun = generateMockRun(
+        [
+          {
+            command: 'pnpm install',
+            async callback() {
+              runCount++;
+              expect(await fs.readFile('pnpm-lock.yaml', 'utf-8')).to.equal('originalYAML: true\n');
+              await fs.outputFile('pnpm-lock.yaml', 'scenarioYAML: true\n');
+            },
+          },
+        ],
+        { allowPassthrough: false }
+      );
+
+      let adapter = new PnpmAdapter({
+        cwd: tmpdir,
+        run: stubbedRun,
+        preserveLockfile: true,
+        lockfileDirectory: path.join(tmpdir, 'lockfiles'),
+      });
+      await adapter.setup();
+      await adapter.changeToDependencySet(
+        { devDependencies: { 'ember-source': '~5.4.0' } },
+        { name: 'ember-lts-5.4' }
+      );
+
+      expect(runCount).to.equal(1);
+      expect(await fs.readFile('lockfiles/ember-lts-5.4/pnpm-lock.yaml', 'utf-8')).to.equal(
+        'scenarioYAML: true\n'
+      );
+    });
   });
 
   describe('#cleanup', () => {
@@ -0,0 +1,237 @@
+'use strict';
+
+let expect = require('chai').expect;
+let fs = require('fs-extra');
+let path = require('path');
+let tmp = require('tmp-sync');
+let PnpmWorkspaceAdapter = require('../../lib/dependency-manager-adapters/pnpm-workspace');
+let generateMockRun = require('../helpers/generate-mock-run');
+
+let root = process.cwd();
+let tmproot = path.join(root, 'tmp');
+let tmpdir;
+
+describe('pnpm workspace Adapter', () => {
+  beforeEach(async () => {
+    tmpdir = tmp.in(tmproot);
+    process.chdir(tmpdir);
+
+    await fs.outputJson('package.json', { name: 'monorepo', private: true });
+    await fs.outputFile('pnpm-lock.yaml', 'originalYAML: true\n');
+    await fs.outputFile(
+      'pnpm-workspace.yaml',
+      [
+        'packages:',
+        "  - 'addon'",
+        "  - 'test-app'",
+        "  - 'packages/*'",
+        "  - '!packages/ignored'",
+      ].join('\n')
+    );
+    await fs.outputJson('addon/package.json', {
+      name: 'my-addon',
+      peerDependencies: { 'ember-source': '>= 4.0.0' },
+    });
+    await fs.outputJson('test-app/package.json', {
+      name: 'test-app',
+      devDependencies: { 'ember-source': '~4.12.0' },
+    });
+    await fs.outputJson('packages/docs/package.json', {
+      name: 'docs',
+      devDependencies: { 'ember-source': '~4.12.0' },
+    });
+    await fs.outputJson('packages/ignored/package.json', { name: 'ignored' });
+  });
+
+  afterEach(async () => {
+    process.chdir(root);
+    await fs.remove(tmproot);
+  });
+
+  describe('#init', () => {
+    it('finds the packages matching the `pnpm-workspace.yaml` globs', () => {
+      let adapter = new PnpmWorkspaceAdapter({ cwd: tmpdir });
+
+      expect(adapter._packages.map((pkg) => pkg.name)).to.have.members([
+        'my-addon',
+        'test-app',
+        'docs',
+      ]);
+    });
+
+    it('throws an error without `pnpm-workspace.yaml`', async () => {
+      await fs.remove('pnpm-workspace.yaml');
+
+      expect(() => new PnpmWorkspaceAdapter({ cwd: tmpdir })).to.throw(
+        /you must define the `packages` property in pnpm-workspace.yaml/
+      );
+    });
+  });
+
+  describe('#setup', () => {
+    it('backs up every `package.json` and the `pnpm-lock.yaml`', async () => {
+      let adapter = new PnpmWorkspaceAdapter({ cwd: tmpdir });
+      await adapter.setup();
+
+      expect(await fs.readJson('package.json.ember-try')).to.deep.equal({
+        name: 'monorepo',
+        private: true,
+      });
+      expect(await fs.readFile('pnpm-lock.ember-try.yaml', 'utf-8')).to.equal(
+        'originalYAML: true\n'
+      );
+      expect(await fs.readJson('test-app/package.json.ember-try')).to.have.property(
+        'name',
+        'test-app'
+      );
+      expect(await fs.readJson('addon/package.json.ember-try')).to.have.property(
+        'name',
+        'my-addon'
+      );
+      expect(fs.existsSync('packages/ignored/package.json.ember-try')).to.be.false;
+    });
+  });
+
+  describe('#changeToDependencySet', () => {
+    it('updates every package and runs a single `pnpm install` in the root', async () => {
+      await fs.outputJson('test-app/node_modules/ember-source/package.json', { version: '5.4.0' });
+
+      let runCount = 0;
+      let stubbedRun = generateMockRun(
+        [
+          {
+            command: 'pnpm install --no-lockfile',
+            async callback(command, args, opts) {
+              runCount++;
+              expect(opts).to.have.property('cwd', tmpdir);
+            },
+          },
+        ],
+        { allowPassthrough: false }
+      );
+
+      let adapter = new PnpmWorkspaceAdapter({ cwd: tmpdir, run: stubbedRun });
+      await adapter.setup();
+
+      let result = await adapter.changeToDependencySet({
+        devDependencies: { 'ember-source': '~5.4.0' },
+      });
+
+      expect(runCount).to.equal(1);
+      expect(result).to.have.deep.members([
+        {
+          name: 'ember-source',
+          versionExpected: '~5.4.0',
+          versionSeen: '5.4.0',
+          packageManager: 'pnpm',
+          workspace: 'test-app',
+        },
+        {
+          name: 'ember-source',
+          versionExpected: '~5.4.0',
+          versionSeen: null,
+          packageManager: 'pnpm',
+          workspace: 'docs',
+        },
+        {
+          name: 'ember-source',
+          versionExpected: '~5.4.0',
+          versionSeen: null,
+          packageManager: 'pnpm',
+          workspace: 'my-addon',
+        },
+      ]);
+      expect(await fs.readJson('test-app/package.json')).to.deep.equal({
+        name: 'test-app',
+        devDependencies: { 'ember-source': '~5.4.0' },
+      });
+      expect(await fs.readJson('package.json')).to.deep.equal({
+        name: 'monorepo',
+        private: true,
+      });
+    });
+
+    it('only updates the packages selected by the scenario', async () => {
+      let stubbedRun = generateMockRun(
+        [{ command: 'pnpm install --no-lockfile', async callback() {} }],
+        { allowPassthrough: false }
+      );
+
+      let adapter = new PnpmWorkspaceAdapter({ cwd: tmpdir, run: stubbedRun });
+      await adapter.setup();
+
+      await adapter.changeToDependencySet({
+        workspaces: ['docs'],
+        devDependencies: { 'ember-source': '~5.0.0' },
+      });
+
+      let result = await adapter.changeToDependencySet({
+        workspaces: ['test-app'],
+        devDependencies: { 'ember-source': '~5.4.0' },
+        overrides: { '@glimmer/component': '1.1.2' },
+      });
+
+      expect(result.map((dep) => dep.workspace)).to.deep.equal(['test-app']);
+      expect(await fs.readJson('test-app/package.json')).to.have.deep.property('devDependencies', {
+        'ember-source': '~5.4.0',
+      });
+      expect(await fs.readJson('packages/docs/package.json')).to.have.deep.property(
+        'devDependencies',
+        { 'ember-source': '~4.12.0' }
+      );
+      expect(await fs.readJson('addon/package.json')).to.not.have.property('devDependencies');
+      expect(await fs.readJson('package.json')).to.have.deep.property('overrides', {
+        '@glimmer/component': '1.1.2',
+      });
+    });
+
+    it('throws for unknown packages', async () => {
+      let adapter = new PnpmWorkspaceAdapter({ cwd: tmpdir });
+      await adapter.setup();
+
+      let error;
+      try {
+        await adapter.changeToDependencySet({ workspaces: ['nope'] });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.equal(
+        'Unknown workspace package `nope`, expected one of: my-addon, docs, test-app'
+      );
+    });
+  });
+
+  describe('#cleanup', () => {
+    it('restores every `package.json` and the `pnpm-lock.yaml`, and runs `pnpm install`', async () => {
+      let runCount = 0;
+      let stubbedRun = generateMockRun(
+        [
+          {
+            command: 'pnpm install --no-lockfile',
+            async callback() {
+              runCount++;
+            },
+          },
+        ],
+        { allowPassthrough: false }
+      );
+
+      let adapter = new PnpmWorkspaceAdapter({ cwd: tmpdir, run: stubbedRun });
+      await adapter.setup();
+      await adapter.changeToDependencySet({ devDependencies: { 'ember-source': '~5.4.0' } });
+      await fs.outputFile('pnpm-lock.yaml', 'modifiedYAML: true\n');
+      await adapter.cleanup();
+
+      expect(runCount).to.equal(2);
+      expect(await fs.readJson('test-app/package.json')).to.deep.equal({
+        name: 'test-app',
+        devDependencies: { 'ember-source': '~4.12.0' },
+      });
+      expect(await fs.readFile('pnpm-lock.yaml', 'utf-8')).to.equal('originalYAML: true\n');
+      expect(fs.existsSync('test-app/package.json.ember-try')).to.be.false;
+      expect(fs.existsSync('package.json.ember-try')).to.be.false;
+      expect(fs.existsSync('pnpm-lock.ember-try.yaml')).to.be.false;
+    });
+  });
+});
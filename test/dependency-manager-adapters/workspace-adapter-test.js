@@ -132,14 +132,30 @@ describe('workspaceAdapter', () => {
 
   describe('#_install', () => {
     describe('without yarn', () => {
-      it('throws an error', () => {
-        expect(() => {
-          return new WorkspaceAdapter({
-            cwd: tmpdir,
-          });
-        }).to.throw(
-          /workspaces are currently only supported by Yarn, you must set `useYarn` to true/
+      it('runs a single npm install in the root', async () => {
+        fs.ensureDirSync('packages/test');
+        writeJSONFile('packages/test/package.json', {});
+
+        let runCount = 0;
+        let stubbedRun = generateMockRun(
+          [
+            {
+              command: 'npm install --no-shrinkwrap',
+              async callback(command, args, opts) {
+                runCount++;
+                expect(opts).to.have.property('cwd', tmpdir);
+              },
+            },
+          ],
+          { allowPassthrough: false }
         );
+
+        await new WorkspaceAdapter({
+          cwd: tmpdir,
+          run: stubbedRun,
+        })._install();
+
+        expect(runCount).to.equal(1, 'Only npm install should run');
       });
     });
 
@@ -261,6 +277,7 @@ describe('workspaceAdapter', () => {
       writeJSONFile('packages/test/.node_modules.ember-try/prove-it.json', {
         originalNodeModules: true,
       });
+      fs.writeFileSync('packages/test/.node_modules.ember-try/.ember-try-backup-complete', '');
 
       return workspaceAdapter.cleanup().then(() => {
         assertFileContainsJSON(path.join(tmpdir, 'packages/test/package.json'), {
@@ -495,4 +512,179 @@ describe('workspaceAdapter', () => {
         });
     });
   });
+
+  describe('with npm workspaces', () => {
+    beforeEach(() => {
+      fs.ensureDirSync('packages/test');
+      writeJSONFile('packages/test/package.json', {
+        devDependencies: { 'ember-source': '4.12.0' },
+      });
+      writeJSONFile('package-lock.json', { originalPackageLock: true });
+    });
+
+    it('backs up the root package-lock.json and the package.json of each workspace', async () => {
+      await new WorkspaceAdapter({ cwd: tmpdir }).setup();
+
+      assertFileContainsJSON(path.join(tmpdir, 'package-lock.json.ember-try'), {
+        originalPackageLock: true,
+      });
+      assertFileContainsJSON(path.join(tmpdir, 'packages/test/package.json.ember-try'), {
+        devDependencies: { 'ember-source': '4.12.0' },
+      });
+    });
+
+    it('reports versions hoisted to the root node_modules', async () => {
+      fs.outputJsonSync('node_modules/ember-source/package.json', { version: '5.4.0' });
+
+      let workspaceAdapter = new WorkspaceAdapter({
+        cwd: tmpdir,
+        run: () => Promise.resolve(),
+      });
+      await workspaceAdapter.setup();
+
+      let result = await workspaceAdapter.changeToDependencySet({
+        devDependencies: { 'ember-source': '5.4.0' },
+      });
+
+      expect(result).to.deep.equal([
+        {
+          name: 'ember-source',
+          versionExpected: '5.4.0',
+          versionSeen: '5.4.0',
+          packageManager: 'npm',
+          workspace: 'packages/test',
+        },
+      ]);
+    });
+
+    it('writes the overrides into the root package.json, where npm reads them', async () => {
+      let workspaceAdapter = new WorkspaceAdapter({
+        cwd: tmpdir,
+        run: () => Promise.resolve(),
+      });
+      await workspaceAdapter.setup();
+
+      let depSet = {
+        devDependencies: { 'ember-source': '6.0.0-beta.1' },
+        overrides: { '@glimmer/component': '2.0.0' },
+      };
+
+      expect(workspaceAdapter.changesForDependencySet(depSet).map((change) => change.file)).to.eql([
+        path.join(tmpdir, 'packages/test/package.json'),
+        path.join(tmpdir, 'package.json'),
+      ]);
+
+      await workspaceAdapter.changeToDependencySet(depSet);
+
+      let rootPackageJSON = fs.readJsonSync('package.json');
+      let packageJSON = fs.readJsonSync('packages/test/package.json');
+      expect(rootPackageJSON.overrides).to.eql({
+        'ember-source': '6.0.0-beta.1',
+        '@glimmer/component': '2.0.0',
+      });
+      expect(packageJSON).to.eql({ devDependencies: { 'ember-source': '6.0.0-beta.1' } });
+
+      await workspaceAdapter.cleanup();
+
+      expect(fs.readJsonSync('package.json')).to.eql(fixtureWorkspaces);
+      expect(fs.existsSync('package.json.ember-try')).to.be.false;
+    });
+
+    it('restores the root package-lock.json and reinstalls on cleanup', async () => {
+      let runCount = 0;
+      let stubbedRun = generateMockRun(
+        [
+          {
+            command: 'npm install --no-shrinkwrap',
+            async callback() {
+              runCount++;
+            },
+          },
+        ],
+        { allowPassthrough: false }
+      );
+
+      let workspaceAdapter = new WorkspaceAdapter({ cwd: tmpdir, run: stubbedRun });
+      await workspaceAdapter.setup();
+      writeJSONFile('package-lock.json', { modifiedPackageLock: true });
+      writeJSONFile('packages/test/package.json', { modifiedPackageJSON: true });
+
+      await workspaceAdapter.cleanup();
+
+      assertFileContainsJSON(path.join(tmpdir, 'package-lock.json'), {
+        originalPackageLock: true,
+      });
+      assertFileContainsJSON(path.join(tmpdir, 'packages/test/package.json'), {
+        devDependencies: { 'ember-source': '4.12.0' },
+      });
+      expect(fs.existsSync('package-lock.json.ember-try')).to.be.false;
+      expect(runCount).to.equal(1);
+    });
+  });
+
+  describe('with a scenario targeting workspace packages', () => {
+    beforeEach(() => {
+      writeJSONFile('package.json', { workspaces: ['addon', 'test-app'] });
+      fs.outputJsonSync('addon/package.json', {
+        name: 'my-addon',
+        devDependencies: { 'ember-source': '4.12.0' },
+      });
+      fs.outputJsonSync('test-app/package.json', {
+        name: 'test-app',
+        devDependencies: { 'ember-source': '4.12.0', 'ember-data': '4.12.0' },
+      });
+    });
+
+    it('only changes the named packages, with their own dependency sets', async () => {
+      let workspaceAdapter = new WorkspaceAdapter({
+        cwd: tmpdir,
+        useYarnCommand: true,
+        run: () => Promise.resolve(),
+      });
+      await workspaceAdapter.setup();
+
+      let result = await workspaceAdapter.changeToDependencySet({
+        devDependencies: { 'ember-source': '5.4.0' },
+        workspaces: {
+          'test-app': { devDependencies: { 'ember-data': '5.3.0' } },
+        },
+      });
+
+      assertFileContainsJSON(path.join(tmpdir, 'test-app/package.json'), {
+        name: 'test-app',
+        devDependencies: { 'ember-source': '5.4.0', 'ember-data': '5.3.0' },
+      });
+      assertFileContainsJSON(path.join(tmpdir, 'addon/package.json'), {
+        name: 'my-addon',
+        devDependencies: { 'ember-source': '4.12.0' },
+      });
+      expect(result.map((dep) => `${dep.workspace} ${dep.name}`)).to.deep.equal([
+        'test-app ember-source',
+        'test-app ember-data',
+      ]);
+    });
+
+    it('resets packages changed by an earlier scenario', async () => {
+      let workspaceAdapter = new WorkspaceAdapter({
+        cwd: tmpdir,
+        useYarnCommand: true,
+        run: () => Promise.resolve(),
+      });
+      await workspaceAdapter.setup();
+
+      await workspaceAdapter.changeToDependencySet({
+        devDependencies: { 'ember-source': '5.4.0' },
+        workspaces: ['my-addon'],
+      });
+      await workspaceAdapter.changeToDependencySet({
+        devDependencies: { 'ember-source': '5.4.0' },
+        workspaces: ['test-app'],
+      });
+
+      assertFileContainsJSON(path.join(tmpdir, 'addon/package.json'), {
+        name: 'my-addon',
+        devDependencies: { 'ember-source': '4.12.0' },
+      });
+    });
+  });
 });
@@ -0,0 +1,260 @@
+'use strict';
+
+let expect = require('chai').expect;
+let fs = require('fs-extra');
+let path = require('path');
+let tmp = require('tmp-sync');
+let YarnAdapter = require('../../lib/dependency-manager-adapters/yarn');
+let generateMockRun = require('../helpers/generate-mock-run');
+
+let root = process.cwd();
+let tmproot = path.join(root, 'tmp');
+let tmpdir;
+
+describe('yarn Adapter', () => {
+  beforeEach(() => {
+    tmpdir = tmp.in(tmproot);
+    process.chdir(tmpdir);
+  });
+
+  afterEach(async () => {
+    process.chdir(root);
+    await fs.remove(tmproot);
+  });
+
+  describe('#setup', () => {
+    it("backs up the `package.json`, `yarn.lock` and Plug'n'Play files", async () => {
+      await fs.outputJson('package.json', { originalPackageJSON: true });
+      await fs.outputFile('yarn.lock', 'originalLock: true\n');
+      await fs.outputFile('.pnp.cjs', '// original pnp\n');
+      await fs.outputFile('.yarn/install-state.gz', 'original state');
+
+      let adapter = new YarnAdapter({ cwd: tmpdir });
+      await adapter.setup();
+
+      expect(await fs.readJson('package.json.ember-try')).to.deep.equal({
+        originalPackageJSON: true,
+      });
+      expect(await fs.readFile('yarn.lock.ember-try', 'utf-8')).to.equal('originalLock: true\n');
+      expect(await fs.readFile('.pnp.ember-try.cjs', 'utf-8')).to.equal('// original pnp\n');
+      expect(await fs.readFile('.yarn/install-state.ember-try.gz', 'utf-8')).to.equal(
+        'original state'
+      );
+    });
+
+    it('ignores missing files', async () => {
+      await fs.outputJson('package.json', { originalPackageJSON: true });
+
+      let adapter = new YarnAdapter({ cwd: tmpdir });
+      await adapter.setup();
+
+      expect(fs.existsSync('package.json.ember-try')).to.be.true;
+      expect(fs.existsSync('yarn.lock.ember-try')).to.be.false;
+      expect(fs.existsSync('.pnp.ember-try.cjs')).to.be.false;
+      expect(fs.existsSync('.yarn/install-state.ember-try.gz')).to.be.false;
+    });
+  });
+
+  describe('#changeToDependencySet', () => {
+    it('updates the `package.json` and runs `yarn install`', async () => {
+      await fs.outputJson('package.json', {
+        devDependencies: {
+          'ember-try-test-suite-helper': '0.1.0',
+        },
+      });
+      await fs.outputFile('yarn.lock', 'originalLock: true\n');
+
+      let runCount = 0;
+      let stubbedRun = generateMockRun(
+        [
+          {
+            command: 'yarn install --no-immutable',
+            async callback(command, args, opts) {
+              runCount++;
+              expect(opts).to.have.property('cwd', tmpdir);
+              expect(await fs.readFile('yarn.lock', 'utf-8')).to.equal('originalLock: true\n');
+            },
+          },
+        ],
+        { allowPassthrough: false }
+      );
+
+      let adapter = new YarnAdapter({
+        cwd: tmpdir,
+        run: stubbedRun,
+      });
+
+      await adapter.setup();
+      await fs.outputFile('yarn.lock', 'previousScenarioLock: true\n');
+
+      let result = await adapter.changeToDependencySet({
+        devDependencies: {
+          'ember-try-test-suite-helper': '1.0.0',
+        },
+      });
+
+      expect(result).to.deep.equal([
+        {
+          name: 'ember-try-test-suite-helper',
+          packageManager: 'yarn',
+          versionExpected: '1.0.0',
+          versionSeen: null,
+        },
+      ]);
+
+      expect(await fs.readJson('package.json')).to.deep.equal({
+        devDependencies: {
+          'ember-try-test-suite-helper': '1.0.0',
+        },
+        resolutions: {
+          'ember-try-test-suite-helper': '1.0.0',
+        },
+      });
+
+      expect(runCount).to.equal(1);
+    });
+
+    it('uses the manager options instead of the defaults', async () => {
+      await fs.outputJson('package.json', {});
+
+      let runCount = 0;
+      let stubbedRun = generateMockRun(
+        [
+          {
+            command: 'yarn install --mode=skip-build',
+            async callback() {
+              runCount++;
+            },
+          },
+        ],
+        { allowPassthrough: false }
+      );
+
+      let adapter = new YarnAdapter({
+        cwd: tmpdir,
+        run: stubbedRun,
+        buildManagerOptions() {
+          return ['--mode=skip-build'];
+        },
+      });
+
+      await adapter.setup();
+      await adapter.changeToDependencySet({ devDependencies: {} });
+
+      expect(runCount).to.equal(1);
+    });
+  });
+
+  describe('#cleanup', () => {
+    it('restores the backed up files, and then runs `yarn install`', async () => {
+      await fs.outputJson('package.json', { modifiedPackageJSON: true });
+      await fs.outputJson('package.json.ember-try', { originalPackageJSON: true });
+      await fs.outputFile('yarn.lock', 'modifiedLock: true\n');
+      await fs.outputFile('yarn.lock.ember-try', 'originalLock: true\n');
+      await fs.outputFile('.pnp.cjs', '// modified pnp\n');
+      await fs.outputFile('.pnp.ember-try.cjs', '// original pnp\n');
+      await fs.outputFile('.yarn/install-state.gz', 'modified state');
+      await fs.outputFile('.yarn/install-state.ember-try.gz', 'original state');
+
+      let runCount = 0;
+      let stubbedRun = generateMockRun(
+        [
+          {
+            command: 'yarn install --no-immutable',
+            async callback(command, args, opts) {
+              runCount++;
+              expect(opts).to.have.property('cwd', tmpdir);
+            },
+          },
+        ],
+        { allowPassthrough: false }
+      );
+
+      let adapter = new YarnAdapter({
+        cwd: tmpdir,
+        run: stubbedRun,
+      });
+      await adapter.cleanup();
+
+      expect(await fs.readJson('package.json')).to.deep.equal({ originalPackageJSON: true });
+      expect(await fs.readFile('yarn.lock', 'utf-8')).to.equal('originalLock: true\n');
+      expect(await fs.readFile('.pnp.cjs', 'utf-8')).to.equal('// original pnp\n');
+      expect(await fs.readFile('.yarn/install-state.gz', 'utf-8')).to.equal('original state');
+      expect(fs.existsSync('package.json.ember-try')).to.be.false;
+      expect(fs.existsSync('yarn.lock.ember-try')).to.be.false;
+      expect(fs.existsSync('.pnp.ember-try.cjs')).to.be.false;
+      expect(fs.existsSync('.yarn/install-state.ember-try.gz')).to.be.false;
+
+      expect(runCount).to.equal(1);
+    });
+  });
+
+  describe('#_findCurrentVersionOf', () => {
+    it('returns the version from `node_modules` when using the node-modules linker', async () => {
+      await fs.outputJson('node_modules/ember-source/package.json', { version: '5.4.0' });
+
+      let adapter = new YarnAdapter({ cwd: tmpdir });
+
+      expect(adapter._findCurrentVersionOf('ember-source')).to.equal('5.4.0');
+    });
+
+    it("returns the version from the Plug'n'Play API", async () => {
+      await fs.outputFile(
+        '.pnp.cjs',
+        `
+          const topLevel = { name: null, reference: null };
+          const dependencies = new Map([
+            ['ember-source', 'npm:5.4.0'],
+            ['ember-resolver', 'virtual:abc123#npm:11.0.1'],
+            ['ember-data', 'patch:ember-data@npm%3A5.3.0#./patches/ember-data.patch::locator=app'],
+            ['my-alias', ['ember-cli', 'npm:5.4.1']],
+            ['my-lib', 'workspace:packages/my-lib'],
+          ]);
+
+          module.exports = {
+            topLevel,
+            getPackageInformation(locator) {
+              return locator === topLevel ? { packageDependencies: dependencies } : null;
+            },
+          };
+        `
+      );
+
+      let adapter = new YarnAdapter({ cwd: tmpdir });
+
+      expect(adapter._findCurrentVersionOf('ember-source')).to.equal('5.4.0');
+      expect(adapter._findCurrentVersionOf('ember-resolver')).to.equal('11.0.1');
+      expect(adapter._findCurrentVersionOf('ember-data')).to.equal('5.3.0');
+      expect(adapter._findCurrentVersionOf('my-alias')).to.equal('5.4.1');
+      expect(adapter._findCurrentVersionOf('my-lib')).to.be.null;
+      expect(adapter._findCurrentVersionOf('not-installed')).to.be.null;
+    });
+
+    it("returns null without `node_modules` or Plug'n'Play files", () => {
+      let adapter = new YarnAdapter({ cwd: tmpdir });
+
+      expect(adapter._findCurrentVersionOf('ember-source')).to.be.null;
+    });
+  });
+
+  describe('#_packageJSONForDependencySet', () => {
+    it('pins the dependencies through `resolutions`', () => {
+      let adapter = new YarnAdapter({ cwd: tmpdir });
+      let packageJSON = {
+        devDependencies: { 'ember-source': '4.12.0', 'ember-data': '4.12.0' },
+        resolutions: { 'ember-data': '4.12.0', 'ember-cli-babel': '7.0.0' },
+      };
+      let depSet = {
+        devDependencies: { 'ember-source': '5.4.0', 'ember-data': null },
+        resolutions: { 'ember-cli-babel': '8.0.0' },
+      };
+
+      let resultJSON = adapter._packageJSONForDependencySet(packageJSON, depSet);
+
+      expect(resultJSON).to.deep.equal({
+        devDependencies: { 'ember-source': '5.4.0' },
+        resolutions: { 'ember-source': '5.4.0', 'ember-cli-babel': '8.0.0' },
+      });
+    });
+  });
+});
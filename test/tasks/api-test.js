@@ -0,0 +1,111 @@
+'use strict';
+
+const expect = require('chai').expect;
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const tmp = require('tmp-sync');
+const { runScenarios } = require('../../lib/api');
+
+const root = process.cwd();
+const tmproot = path.join(root, 'tmp');
+
+describe('api', () => {
+  let tmpdir;
+
+  beforeEach(async () => {
+    tmpdir = tmp.in(tmproot);
+
+    await fs.outputJson(path.join(tmpdir, 'package.json'), { name: 'my-addon' });
+    await fs.outputFile(
+      path.join(tmpdir, 'config/ember-try.js'),
+      `module.exports = {
+        scenarios: [
+          { name: 'passing', command: 'node -e "process.exit(0)"' },
+          { name: 'failing', command: 'node -e "process.exit(1)"', allowedToFail: true },
+          { name: 'also-failing', command: 'node -e "process.exit(1)"' },
+        ],
+      };`
+    );
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmproot);
+  });
+
+  describe('runScenarios', () => {
+    it('returns the exit code and results, and emits lifecycle events', async function () {
+      this.timeout(30000);
+
+      let events = new EventEmitter();
+      let emitted = [];
+      [
+        'scenario:start',
+        'install:start',
+        'install:end',
+        'command:start',
+        'command:end',
+        'scenario:end',
+        'cleanup',
+      ].forEach((event) => {
+        events.on(event, (payload) => {
+          emitted.push(payload.scenario ? `${event} ${payload.scenario.name}` : event);
+        });
+      });
+
+      let { exitCode, results } = await runScenarios({
+        root: tmpdir,
+        scenarios: ['passing', 'failing'],
+        events,
+      });
+
+      expect(exitCode).to.equal(0);
+      expect(results.map((result) => [result.scenario, result.result])).to.deep.equal([
+        ['passing', true],
+        ['failing', false],
+      ]);
+      expect(emitted).to.deep.equal([
+        'scenario:start passing',
+        'install:start passing',
+        'install:end passing',
+        'command:start passing',
+        'command:end passing',
+        'scenario:end passing',
+        'scenario:start failing',
+        'install:start failing',
+        'install:end failing',
+        'command:start failing',
+        'command:end failing',
+        'scenario:end failing',
+        'cleanup',
+      ]);
+    });
+
+    it('selects scenarios with `filter` and runs the given command', async function () {
+      this.timeout(30000);
+
+      let output = [];
+      let { exitCode, results } = await runScenarios({
+        root: tmpdir,
+        filter: '*failing',
+        command: ['node', '-e', '"process.exit(0)"'],
+        ui: { writeLine: (line) => output.push(line) },
+      });
+
+      expect(exitCode).to.equal(0);
+      expect(results.map((result) => result.scenario)).to.deep.equal(['failing', 'also-failing']);
+      expect(output.join('\n')).to.include('Scenario: also-failing');
+    });
+
+    it('errors for unknown scenarios', async () => {
+      let error;
+      try {
+        await runScenarios({ root: tmpdir, scenarios: ['nope'] });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.equal('Unknown scenario `nope`');
+    });
+  });
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const expect = require('chai').expect;
+const CacheTask = require('../../lib/tasks/cache');
+
+describe('tasks/cache', () => {
+  let output, ui;
+
+  beforeEach(() => {
+    output = [];
+    ui = { writeLine: (line) => output.push(line) };
+  });
+
+  function cacheWith(entries) {
+    return {
+      async list() {
+        return entries;
+      },
+      async prune({ maxAge }) {
+        expect(maxAge).to.equal(7 * 24 * 60 * 60 * 1000);
+        return entries.slice(1);
+      },
+      async clear() {
+        return entries;
+      },
+    };
+  }
+
+  let entries = [
+    {
+      key: 'a1b2c3d4e5f60718',
+      scenario: 'ember-lts-5.4',
+      packageManager: 'pnpm',
+      packageManagerVersion: '8.15.1',
+      lastUsedAt: '2024-03-01T10:00:00.000Z',
+    },
+    {
+      key: '0718a1b2c3d4e5f6',
+      scenario: 'ember-release',
+      packageManager: 'pnpm',
+      packageManagerVersion: '8.15.1',
+      lastUsedAt: '2024-01-01T10:00:00.000Z',
+    },
+  ];
+
+  it('lists the cached scenarios', async () => {
+    await new CacheTask({ ui, cache: cacheWith(entries) }).run('list');
+
+    expect(output[0]).to.include('ember-lts-5.4');
+    expect(output[0]).to.include('pnpm@8.15.1');
+    expect(output[0]).to.include('0718a1b2c3d4e5f6');
+  });
+
+  it('prunes entries older than `maxAge` days', async () => {
+    await new CacheTask({ ui, cache: cacheWith(entries) }).run('prune', { maxAge: 7 });
+
+    expect(output).to.deep.equal(['Removed 1 cache entry.']);
+  });
+
+  it('clears the cache', async () => {
+    await new CacheTask({ ui, cache: cacheWith(entries) }).run('clear');
+
+    expect(output).to.deep.equal(['Removed 2 cache entries.']);
+  });
+
+  it('explains how to enable the cache', async () => {
+    await new CacheTask({ ui, config: { scenarios: [] }, project: { root: '/' } }).run('list');
+
+    expect(output[0]).to.include('add `cache: true` to your ember-try config');
+  });
+
+  it('throws for unknown actions', async () => {
+    let error;
+    try {
+      await new CacheTask({ ui, cache: cacheWith(entries) }).run('purge');
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.message).to.equal(
+      'Unknown cache action `purge`, expected one of: list, prune, clear'
+    );
+  });
+});
@@ -88,7 +88,8 @@ describe('tryEach', () => {
       let tryEachTask = new TryEachTask({
         ui: { writeLine: outputFn },
         project: { root: tmpdir },
-        config,
+        // Opting out of Yarn explicitly skips detecting it from the yarn.lock
+        config: Object.assign({ useYarn: false }, config),
         _on() {},
       });
 
@@ -160,6 +161,61 @@ describe('tryEach', () => {
     });
   });
 
+  describe('with dryRun option', () => {
+    it('prints the planned package.json changes and command without installing', async () => {
+      let config = {
+        scenarios: [
+          {
+            name: 'beta',
+            npm: {
+              devDependencies: {
+                'ember-source': '5.5.0-beta.1',
+              },
+            },
+          },
+          {
+            name: 'unchanged',
+            command: 'npm run-script different',
+            npm: {},
+          },
+        ],
+      };
+
+      writeJSONFile('package.json', fixturePackage);
+      mockery.registerMock('./run', generateMockRun([], { allowPassthrough: false }));
+
+      let output = [];
+      let outputFn = function (log) {
+        output.push(log);
+      };
+
+      let TryEachTask = require('../../lib/tasks/try-each');
+      let tryEachTask = new TryEachTask({
+        ui: { writeLine: outputFn },
+        project: { root: tmpdir },
+        config,
+        _on() {},
+      });
+
+      let exitCode = await tryEachTask.run(config.scenarios, { dryRun: true });
+
+      expect(exitCode).to.equal(0);
+      expect(output).to.include('Command: ember test');
+      expect(output).to.include('--- a/package.json');
+      expect(output).to.include('+++ b/package.json');
+      expect(output).to.include('-  "devDependencies": {},');
+      expect(output).to.include('+  "devDependencies": {');
+      expect(output).to.include('+    "ember-source": "5.5.0-beta.1"');
+      expect(output).to.include('+  "overrides": {');
+      expect(output).to.include('+    "ember-source": "$ember-source"');
+      expect(output).to.include('Command: npm run-script different');
+      expect(output).to.include('No changes to package.json');
+
+      expect(fs.readJsonSync('package.json')).to.eql(fixturePackage);
+      expect(fs.existsSync('package.json.ember-try')).to.equal(false, 'does not back up');
+    });
+  });
+
   describe('with no dependency managers', () => {
     it('runs properly', async () => {
       let config = {
@@ -218,6 +274,64 @@ describe('tryEach', () => {
     });
   });
 
+  describe('with parallel option', () => {
+    it('runs each scenario in its own working copy', async () => {
+      let config = {
+        scenarios: [
+          {
+            name: 'first',
+            command: 'foo-bar',
+          },
+          {
+            name: 'second',
+            command: 'foo-bar',
+          },
+        ],
+      };
+
+      writeJSONFile('package.json', fixturePackage);
+
+      let runs = [];
+      let mockedRun = generateMockRun('foo-bar', async (command, args, opts) => {
+        runs.push({
+          cwd: opts.cwd,
+          scenario: opts.env.EMBER_TRY_CURRENT_SCENARIO,
+          hasPackageJSON: fs.existsSync(path.join(opts.cwd, 'package.json')),
+        });
+
+        return 0;
+      });
+      mockery.registerMock('./run', mockedRun);
+
+      let output = [];
+      let outputFn = function (log) {
+        output.push(log);
+      };
+
+      let TryEachTask = require('../../lib/tasks/try-each');
+      let tryEachTask = new TryEachTask({
+        ui: { writeLine: outputFn },
+        project: { root: tmpdir },
+        config,
+        _on() {},
+      });
+
+      let exitCode = await tryEachTask.run(config.scenarios, { parallel: 2 });
+
+      expect(exitCode).to.equal(0, 'exits 0 when all scenarios succeed');
+      expect(output).to.include('Scenario first: SUCCESS');
+      expect(output).to.include('Scenario second: SUCCESS');
+
+      expect(runs.map((run) => run.scenario).sort()).to.eql(['first', 'second']);
+      expect(runs[0].cwd).to.not.equal(runs[1].cwd);
+      runs.forEach((run) => {
+        expect(run.cwd).to.not.equal(tmpdir);
+        expect(run.hasPackageJSON).to.equal(true, 'copies the project into the working copy');
+        expect(fs.existsSync(run.cwd)).to.equal(false, 'removes the working copy');
+      });
+    });
+  });
+
   describe('with stubbed dependency manager', () => {
     it('passes along timeout options to run', function () {
       // With stubbed dependency manager, timing out is warning for accidentally not using the stub
@@ -637,6 +751,1033 @@ describe('tryEach', () => {
       });
     });
 
+    describe('strictVersions', () => {
+      it('fails scenarios without running the command when versions are out of range', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let config = {
+          strictVersions: true,
+          scenarios: [{ name: 'first', npm: {} }],
+        };
+
+        let ranCommand = false;
+        mockery.registerMock(
+          './run',
+          generateMockRun('ember test', async () => {
+            ranCommand = true;
+            return 0;
+          })
+        );
+
+        let output = [];
+        let outputFn = function (log) {
+          output.push(log);
+        };
+
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine: outputFn },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [new StubDependencyAdapter({ configKey: 'npm' })],
+          _on() {},
+        });
+
+        let exitCode = await tryEachTask.run(config.scenarios, {});
+
+        expect(exitCode).to.equal(1);
+        expect(ranCommand).to.equal(false);
+        expect(output).to.include('testDep: expected 2.0.0, used 2.1.0');
+        expect(output).to.include('Scenario first: VERSION MISMATCH');
+
+        let tables = output.filter((line) => typeof line === 'object');
+        expect(tables[0][0][2]).to.equal('2.1.0 (out of range)');
+      });
+    });
+
+    describe('timeout', () => {
+      it('fails scenarios whose command times out and continues with the next one', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let config = {
+          timeout: 1000,
+          scenarios: [
+            {
+              name: 'first',
+              command: 'foo-bar',
+              timeout: 50,
+            },
+            {
+              name: 'second',
+              command: 'foo-bar',
+            },
+          ],
+        };
+
+        let timeouts = [];
+        let mockedRun = generateMockRun('foo-bar', async (command, args, opts) => {
+          timeouts.push(opts.timeout);
+
+          if (timeouts.length === 1) {
+            let error = new Error('The command foo-bar timed out after 50ms');
+            error.timedOut = true;
+            throw error;
+          }
+
+          return 0;
+        });
+        mockery.registerMock('./run', mockedRun);
+
+        let output = [];
+        let outputFn = function (log) {
+          output.push(log);
+        };
+
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine: outputFn },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [],
+          _on() {},
+        });
+
+        let exitCode = await tryEachTask.run(config.scenarios, {});
+
+        expect(exitCode).to.equal(1);
+        expect(timeouts).to.eql([50, 1000]);
+        expect(output).to.include('The command foo-bar timed out after 50ms');
+        expect(output).to.include('Scenario first: TIMED OUT');
+        expect(output).to.include('Scenario second: SUCCESS');
+        expect(output).to.include('1 scenarios failed');
+      });
+    });
+
+    describe('SIGINT', () => {
+      it('kills the running command and stops', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let config = {
+          scenarios: [
+            { name: 'first', command: 'foo-bar' },
+            { name: 'second', command: 'foo-bar' },
+          ],
+        };
+
+        let sigintHandler;
+        let killed = 0;
+        let runs = 0;
+        mockery.registerMock(
+          './run',
+          generateMockRun('foo-bar', async () => {
+            runs++;
+            await sigintHandler();
+            // Killed commands reject without an exit code
+            throw undefined;
+          })
+        );
+
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine() {} },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [],
+          _on(signal, fn) {
+            sigintHandler = fn;
+          },
+          _killRunningCommands() {
+            killed++;
+          },
+        });
+
+        await tryEachTask.run(config.scenarios, {});
+
+        expect(killed).to.equal(1);
+        expect(runs).to.equal(1, 'does not run the next scenario');
+      });
+
+      it('does not run the afterAll hook or report the cancelled scenarios', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let config = {
+          reportJson: 'ember-try.json',
+          hooks: { afterAll: 'after-all' },
+          scenarios: [{ name: 'first', command: 'foo-bar' }],
+        };
+
+        let sigintHandler;
+        let afterAllRuns = 0;
+        mockery.registerMock(
+          './run',
+          generateMockRun([
+            {
+              command: 'foo-bar',
+              async callback() {
+                await sigintHandler();
+                throw undefined;
+              },
+            },
+            {
+              command: 'after-all',
+              async callback() {
+                afterAllRuns++;
+                return 0;
+              },
+            },
+          ])
+        );
+
+        let output = [];
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine: (line) => output.push(line) },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [],
+          _on(signal, fn) {
+            sigintHandler = fn;
+          },
+          _killRunningCommands() {},
+        });
+
+        expect(await tryEachTask.run(config.scenarios, {})).to.equal(1);
+        expect(afterAllRuns).to.equal(0);
+        expect(output.join('\n')).to.not.include('Error!');
+        expect(fs.existsSync(path.join(tmpdir, 'ember-try.json'))).to.equal(false);
+      });
+
+      it('removes its handler once the scenarios ran', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let config = { scenarios: [{ name: 'first', command: 'foo-bar' }] };
+        mockery.registerMock(
+          './run',
+          generateMockRun('foo-bar', () => Promise.resolve(0))
+        );
+
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine() {} },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [],
+        });
+        let listeners = process.listenerCount('SIGINT');
+
+        await tryEachTask.run(config.scenarios, {});
+        await tryEachTask.run(config.scenarios, {});
+
+        expect(process.listenerCount('SIGINT')).to.equal(listeners);
+      });
+    });
+
+    describe('retries', () => {
+      it('re-runs failing commands without reinstalling and flags late passes as flaky', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let config = {
+          retries: 1,
+          scenarios: [
+            {
+              name: 'flaky',
+              command: 'flaky-command',
+              npm: {},
+            },
+            {
+              name: 'broken',
+              command: 'broken-command',
+              retries: 2,
+              npm: {},
+            },
+          ],
+        };
+
+        let runs = { flaky: 0, broken: 0 };
+        let mockedRun = generateMockRun([
+          {
+            command: 'flaky-command',
+            async callback() {
+              runs.flaky++;
+              if (runs.flaky === 1) {
+                throw 1;
+              }
+
+              return 0;
+            },
+          },
+          {
+            command: 'broken-command',
+            async callback() {
+              runs.broken++;
+              throw 1;
+            },
+          },
+        ]);
+        mockery.registerMock('./run', mockedRun);
+
+        let installs = 0;
+        let adapter = new StubDependencyAdapter({
+          configKey: 'npm',
+          changeToDependencySet() {
+            installs++;
+            return [];
+          },
+        });
+
+        let output = [];
+        let outputFn = function (log) {
+          output.push(log);
+        };
+
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine: outputFn },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [adapter],
+          _on() {},
+        });
+
+        let exitCode = await tryEachTask.run(config.scenarios, {});
+
+        expect(exitCode).to.equal(1);
+        expect(runs).to.eql({ flaky: 2, broken: 3 });
+        expect(installs).to.equal(2, 'installs once per scenario');
+        expect(output).to.include('Scenario flaky: FLAKY');
+        expect(output).to.include('Attempts: 2');
+        expect(output).to.include('Scenario broken: FAIL');
+        expect(output).to.include('Attempts: 3');
+        expect(output).to.include('1 scenarios succeeded (1 flaky)');
+      });
+    });
+
+    describe('argument list commands', () => {
+      async function runWith(config, options) {
+        let runs = [];
+        mockery.registerMock('./run', async (command, args, opts) => {
+          runs.push({ command, args, shell: opts.shell });
+          return 0;
+        });
+
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask(
+          Object.assign(
+            {
+              ui: { writeLine() {} },
+              project: { root: tmpdir },
+              config,
+              dependencyManagerAdapters: [new StubDependencyAdapter({ configKey: 'npm' })],
+              _on() {},
+            },
+            options
+          )
+        );
+
+        let exitCode = await tryEachTask.run(config.scenarios, {});
+        expect(exitCode).to.equal(0);
+
+        return { runs, results: tryEachTask.results };
+      }
+
+      it('runs them without a shell and without splitting their arguments', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let { runs, results } = await runWith({
+          command: { argv: ['run-tests', '--filter', 'my module'] },
+          scenarios: [{ name: 'first', npm: {} }],
+        });
+
+        expect(runs).to.eql([
+          { command: 'run-tests', args: ['--filter', 'my module'], shell: false },
+        ]);
+        expect(results[0].command).to.equal('run-tests --filter "my module"');
+      });
+
+      it('keeps running string commands in a shell, and argument lists when `shell` is set', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let { runs } = await runWith({
+          scenarios: [
+            { name: 'string', command: 'run-tests --quiet', npm: {} },
+            { name: 'shell', command: { argv: ['run-tests', '$TEST_ARGS'] }, shell: true, npm: {} },
+          ],
+        });
+
+        expect(runs).to.eql([
+          { command: 'run-tests', args: ['--quiet'], shell: true },
+          { command: 'run-tests', args: ['$TEST_ARGS'], shell: true },
+        ]);
+      });
+
+      it('runs the command passed in with a shell when `shell` is passed in', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let { runs } = await runWith(
+          { scenarios: [{ name: 'first', npm: {} }] },
+          { commandArgs: ['run-tests', 'a b'], shell: true }
+        );
+
+        expect(runs).to.eql([{ command: 'run-tests', args: ['a b'], shell: true }]);
+      });
+
+      it('runs the command passed in without a shell', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let { runs } = await runWith(
+          { scenarios: [{ name: 'first', npm: {} }] },
+          { commandArgs: ['run-tests', 'a b'] }
+        );
+
+        expect(runs).to.eql([{ command: 'run-tests', args: ['a b'], shell: false }]);
+      });
+
+      it('runs a command passed in as one string in a shell', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let { runs } = await runWith(
+          { scenarios: [{ name: 'first', npm: {} }] },
+          { commandArgs: ['run-tests && run-lint'] }
+        );
+
+        expect(runs).to.eql([{ command: 'run-tests && run-lint', args: [], shell: true }]);
+      });
+
+      it('runs a command passed in with variable assignments in a shell', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let { runs } = await runWith(
+          { scenarios: [{ name: 'first', npm: {} }] },
+          { commandArgs: ['FOO=5', 'run-tests'] }
+        );
+
+        expect(runs).to.eql([{ command: 'FOO=5', args: ['run-tests'], shell: true }]);
+      });
+    });
+
+    describe('command steps', () => {
+      function mockSteps(runs) {
+        mockery.registerMock(
+          './run',
+          generateMockRun(
+            ['lint-types', 'test-ember', 'test-node'].map((command) => {
+              return {
+                command,
+                async callback() {
+                  runs.push(command);
+                  if (command === 'test-ember') {
+                    throw 1;
+                  }
+
+                  return 0;
+                },
+              };
+            })
+          )
+        );
+      }
+
+      it('runs the steps after a single install and skips the rest after a failure', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let config = {
+          reportJson: 'ember-try.json',
+          scenarios: [
+            {
+              name: 'first',
+              command: [
+                'lint-types',
+                { name: 'test:ember', command: 'test-ember' },
+                { name: 'test:node', command: 'test-node' },
+              ],
+              npm: {},
+            },
+          ],
+        };
+
+        let runs = [];
+        mockSteps(runs);
+
+        let installs = 0;
+        let adapter = new StubDependencyAdapter({
+          configKey: 'npm',
+          changeToDependencySet() {
+            installs++;
+            return [];
+          },
+        });
+
+        let output = [];
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine: (line) => output.push(line) },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [adapter],
+          _on() {},
+        });
+
+        let exitCode = await tryEachTask.run(config.scenarios, {});
+
+        expect(exitCode).to.equal(1);
+        expect(runs).to.eql(['lint-types', 'test-ember']);
+        expect(installs).to.equal(1);
+        expect(output).to.include('Scenario first: FAIL');
+        expect(output).to.include('Command run: lint-types && test-ember && test-node');
+        expect(output).to.include('  Step test:node: SKIPPED');
+        expect(output.some((line) => /^ {2}Step lint-types: SUCCESS \(/.test(line))).to.equal(true);
+        expect(output.some((line) => /^ {2}Step test:ember: FAIL \(/.test(line))).to.equal(true);
+        expect(output).to.include('\nResult: false (failed: test:ember)');
+
+        let report = fs.readJsonSync(path.join(tmpdir, 'ember-try.json'));
+        expect(
+          report.scenarios[0].steps.map((step) => [step.name, step.command, step.result])
+        ).to.eql([
+          ['lint-types', 'lint-types', 'SUCCESS'],
+          ['test:ember', 'test-ember', 'FAIL'],
+          ['test:node', 'test-node', 'SKIPPED'],
+        ]);
+      });
+
+      it('records steps that exit with codes other than 1 and runs the next scenario', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let config = {
+          retries: 1,
+          scenarios: [
+            {
+              name: 'first',
+              command: [{ name: 'lint', command: 'lint-types' }, 'test-node'],
+              npm: {},
+            },
+            { name: 'second', command: 'test-node', npm: {} },
+          ],
+        };
+
+        let runs = [];
+        mockery.registerMock(
+          './run',
+          generateMockRun(
+            ['lint-types', 'test-node'].map((command) => {
+              return {
+                command,
+                async callback() {
+                  runs.push(command);
+                  if (command === 'lint-types') {
+                    throw 2;
+                  }
+
+                  return 0;
+                },
+              };
+            })
+          )
+        );
+
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine() {} },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [new StubDependencyAdapter({ configKey: 'npm' })],
+          _on() {},
+        });
+
+        let exitCode = await tryEachTask.run(config.scenarios, {});
+
+        expect(exitCode).to.equal(1);
+        expect(runs).to.eql(['lint-types', 'lint-types', 'test-node']);
+        expect(tryEachTask.results.map((result) => result.result)).to.eql([false, true]);
+        expect(tryEachTask.results[0].steps[0]).to.include({ attempts: 2, exitCode: 2 });
+      });
+
+      it('runs the remaining steps with continueOnStepFailure', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let config = {
+          command: ['lint-types', 'test-ember', 'test-node'],
+          continueOnStepFailure: true,
+          scenarios: [{ name: 'first', npm: {} }],
+        };
+
+        let runs = [];
+        mockSteps(runs);
+
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine() {} },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [new StubDependencyAdapter({ configKey: 'npm' })],
+          _on() {},
+        });
+
+        let exitCode = await tryEachTask.run(config.scenarios, {});
+
+        expect(exitCode).to.equal(1);
+        expect(runs).to.eql(['lint-types', 'test-ember', 'test-node']);
+        expect(tryEachTask.results[0].steps.map((step) => step.result)).to.eql([true, false, true]);
+      });
+    });
+
+    describe('hooks', () => {
+      it('runs the global and scenario hooks around each scenario', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let calls = [];
+        let hook = (name) => (context) => {
+          calls.push([name, context]);
+        };
+
+        let config = {
+          hooks: {
+            beforeAll: hook('beforeAll'),
+            beforeEach: hook('beforeEach'),
+            afterEach: hook('afterEach'),
+            afterAll: hook('afterAll'),
+          },
+          scenarios: [
+            {
+              name: 'first',
+              command: 'test-command',
+              npm: {},
+              hooks: {
+                beforeEach: hook('first:beforeEach'),
+                afterEach: hook('first:afterEach'),
+              },
+            },
+          ],
+        };
+
+        mockery.registerMock(
+          './run',
+          generateMockRun('test-command', async () => {
+            calls.push(['command']);
+            return 0;
+          })
+        );
+
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine() {} },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [new StubDependencyAdapter({ configKey: 'npm' })],
+          _on() {},
+        });
+
+        let exitCode = await tryEachTask.run(config.scenarios, {});
+
+        expect(exitCode).to.equal(0);
+        expect(calls.map(([name]) => name)).to.deep.equal([
+          'beforeAll',
+          'beforeEach',
+          'first:beforeEach',
+          'command',
+          'first:afterEach',
+          'afterEach',
+          'afterAll',
+        ]);
+
+        let [, beforeEachContext] = calls[1];
+        expect(beforeEachContext.scenario.name).to.equal('first');
+        expect(beforeEachContext.root).to.equal(tmpdir);
+        expect(beforeEachContext.dependencyState[0]).to.have.property('name', 'testDep');
+
+        let [, afterEachContext] = calls[5];
+        expect(afterEachContext.result).to.include({ scenario: 'first', result: true });
+
+        let [, afterAllContext] = calls[6];
+        expect(afterAllContext.results).to.have.lengthOf(1);
+      });
+
+      it('reports failing hooks separately, without running the command', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let config = {
+          hooks: {
+            beforeEach: 'build-addon --prod',
+          },
+          scenarios: [{ name: 'first', command: 'test-command', npm: {} }],
+        };
+
+        let ranCommand = false;
+        mockery.registerMock(
+          './run',
+          generateMockRun([
+            {
+              command: 'build-addon --prod',
+              async callback() {
+                throw 2;
+              },
+            },
+            {
+              command: 'test-command',
+              async callback() {
+                ranCommand = true;
+                return 0;
+              },
+            },
+          ])
+        );
+
+        let output = [];
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine: (line) => output.push(line) },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [new StubDependencyAdapter({ configKey: 'npm' })],
+          _on() {},
+        });
+
+        let exitCode = await tryEachTask.run(config.scenarios, {});
+
+        expect(exitCode).to.equal(1);
+        expect(ranCommand).to.equal(false);
+        expect(output).to.include('Scenario first: HOOK FAILED');
+        expect(output).to.include('The beforeEach hook failed: exited 2');
+        expect(tryEachTask.results[0].hookFailure).to.deep.equal({
+          hook: 'beforeEach',
+          message: 'The beforeEach hook failed: exited 2',
+        });
+      });
+
+      it('fails the run when the afterAll hook fails', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let config = {
+          hooks: {
+            async afterAll() {
+              throw new Error('Upload failed');
+            },
+          },
+          scenarios: [{ name: 'first', command: 'test-command', npm: {} }],
+        };
+
+        mockery.registerMock(
+          './run',
+          generateMockRun('test-command', async () => 0)
+        );
+
+        let output = [];
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine: (line) => output.push(line) },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [new StubDependencyAdapter({ configKey: 'npm' })],
+          _on() {},
+        });
+
+        let exitCode = await tryEachTask.run(config.scenarios, {});
+
+        expect(exitCode).to.equal(1);
+        expect(output).to.include('Scenario first: SUCCESS');
+        expect(output).to.include('The afterAll hook failed: Upload failed');
+      });
+    });
+
+    describe('failFast', () => {
+      it('skips the remaining scenarios after a failure that is not allowed', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let config = {
+          scenarios: [
+            { name: 'allowed', command: 'fail', allowedToFail: true, npm: {} },
+            { name: 'first', command: 'fail', npm: {} },
+            { name: 'second', command: 'succeed', npm: {} },
+            { name: 'third', command: 'succeed', npm: {} },
+          ],
+        };
+
+        let ran = [];
+        let mockedRun = generateMockRun([
+          {
+            command: 'fail',
+            async callback() {
+              ran.push('fail');
+              throw 1;
+            },
+          },
+          {
+            command: 'succeed',
+            async callback() {
+              ran.push('succeed');
+              return 0;
+            },
+          },
+        ]);
+        mockery.registerMock('./run', mockedRun);
+
+        let cleanedUp = false;
+        let adapter = new StubDependencyAdapter({
+          configKey: 'npm',
+          cleanup() {
+            cleanedUp = true;
+          },
+        });
+
+        let output = [];
+        let outputFn = function (log) {
+          output.push(log);
+        };
+
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine: outputFn },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [adapter],
+          _on() {},
+        });
+
+        let exitCode = await tryEachTask.run(config.scenarios, { failFast: true });
+
+        expect(exitCode).to.equal(1);
+        expect(ran).to.eql(['fail', 'fail']);
+        expect(cleanedUp).to.equal(true, 'still cleans up');
+        expect(output).to.include('Scenario allowed: FAIL (Allowed)');
+        expect(output).to.include('Scenario first: FAIL');
+        expect(output).to.include('Scenario second: SKIPPED');
+        expect(output).to.include('Scenario third: SKIPPED');
+        expect(output).to.include('2 scenarios failed (1 allowed)');
+        expect(output).to.include('2 scenarios skipped');
+      });
+    });
+
+    describe('JSON report', () => {
+      it('writes a report to the path given in config', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let config = {
+          reportJson: 'reports/ember-try.json',
+          scenarios: [
+            {
+              name: 'first',
+              command: 'foo-bar',
+              env: { USE_THIS: 'yep' },
+              npm: { dependencies: { testDep: '2.0.0' } },
+            },
+            {
+              name: 'second',
+              command: 'foo-bar',
+              allowedToFail: true,
+              npm: { dependencies: { testDep: '2.0.0' } },
+            },
+          ],
+        };
+
+        let runCount = 0;
+        let mockedRun = generateMockRun('foo-bar', async () => {
+          runCount++;
+          if (runCount === 2) {
+            throw 1;
+          }
+
+          return 0;
+        });
+        mockery.registerMock('./run', mockedRun);
+
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine() {} },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [new StubDependencyAdapter({ configKey: 'npm' })],
+          _on() {},
+        });
+
+        let exitCode = await tryEachTask.run(config.scenarios, {});
+        expect(exitCode).to.equal(0, 'exits 0 when all failures were allowed');
+
+        let report = fs.readJsonSync(path.join(tmpdir, 'reports/ember-try.json'));
+        expect(report.summary).to.eql({
+          total: 2,
+          passed: 1,
+          failed: 1,
+          allowedFailures: 1,
+          flaky: 0,
+          skipped: 0,
+        });
+        expect(report.scenarios.map((scenario) => scenario.name)).to.eql(['first', 'second']);
+
+        let [first, second] = report.scenarios;
+        expect(first).to.include({
+          result: 'SUCCESS',
+          allowedToFail: false,
+          command: 'foo-bar',
+          exitCode: 0,
+        });
+        expect(first.env).to.eql({ USE_THIS: 'yep' });
+        expect(first.dependencyState).to.eql([
+          {
+            name: 'testDep',
+            versionExpected: '2.0.0',
+            versionSeen: '2.1.0',
+            packageManager: null,
+            status: 'out-of-range',
+          },
+        ]);
+        expect(first.timing).to.have.all.keys('install', 'command');
+        expect(second).to.include({ result: 'FAIL', allowedToFail: true, exitCode: 1 });
+      });
+
+      it('reports the exit code the command exited with', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let config = {
+          reportJson: 'ember-try.json',
+          scenarios: [{ name: 'first', command: 'foo-bar' }],
+        };
+
+        mockery.registerMock(
+          './run',
+          generateMockRun('foo-bar', async () => {
+            throw 3;
+          })
+        );
+
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine() {} },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [],
+          _on() {},
+        });
+
+        expect(await tryEachTask.run(config.scenarios, {})).to.equal(1);
+
+        let report = fs.readJsonSync(path.join(tmpdir, 'ember-try.json'));
+        expect(report.scenarios[0]).to.include({ result: 'FAIL', exitCode: 3 });
+      });
+
+      it('prefers the path passed as an option', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let config = {
+          reportJson: 'from-config.json',
+          scenarios: [{ name: 'first', command: 'foo-bar' }],
+        };
+
+        mockery.registerMock(
+          './run',
+          generateMockRun('foo-bar', async () => 0)
+        );
+
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine() {} },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [],
+          _on() {},
+        });
+
+        await tryEachTask.run(config.scenarios, { reportJson: 'from-option.json' });
+
+        expect(fs.existsSync(path.join(tmpdir, 'from-option.json'))).to.equal(true);
+        expect(fs.existsSync(path.join(tmpdir, 'from-config.json'))).to.equal(false);
+      });
+    });
+
+    describe('reporter option', () => {
+      it('writes a JUnit report to the output file', async function () {
+        // With stubbed dependency manager, timing out is warning for accidentally not using the stub
+        this.timeout(1200);
+
+        let config = {
+          scenarios: [{ name: 'first', command: 'foo-bar' }],
+        };
+
+        mockery.registerMock(
+          './run',
+          generateMockRun('foo-bar', async () => 0)
+        );
+
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine() {} },
+          project: { root: tmpdir },
+          config,
+          dependencyManagerAdapters: [],
+          _on() {},
+        });
+
+        let exitCode = await tryEachTask.run(config.scenarios, {
+          reporter: 'junit',
+          output: 'junit.xml',
+        });
+        expect(exitCode).to.equal(0);
+
+        let report = fs.readFileSync(path.join(tmpdir, 'junit.xml'), 'utf8');
+        expect(report).to.include('<testcase name="first" classname="ember-try"');
+      });
+
+      it('requires an output file', async () => {
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine() {} },
+          project: { root: tmpdir },
+          config: { scenarios: [] },
+          dependencyManagerAdapters: [],
+          _on() {},
+        });
+
+        let error;
+        try {
+          await tryEachTask.run([], { reporter: 'junit' });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error.message).to.include('The `--reporter` option requires an `--output` file');
+      });
+
+      it('rejects unknown reporters', async () => {
+        let TryEachTask = require('../../lib/tasks/try-each');
+        let tryEachTask = new TryEachTask({
+          ui: { writeLine() {} },
+          project: { root: tmpdir },
+          config: { scenarios: [] },
+          dependencyManagerAdapters: [],
+          _on() {},
+        });
+
+        let error;
+        try {
+          await tryEachTask.run([], { reporter: 'tap', output: 'results.tap' });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error.message).to.include('Unknown reporter `tap`, expected one of: json, junit');
+      });
+    });
+
     describe('configurable env', () => {
       it('runs command with env from config', function () {
         // With stubbed dependency manager, timing out is warning for accidentally not using the stub
@@ -721,7 +1862,7 @@ describe('tryEach', () => {
       let mockRunCommand = function () {
         let currentScenario = process.env.EMBER_TRY_CURRENT_SCENARIO;
         scenarios.push(currentScenario);
-        return RSVP.resolve(true);
+        return RSVP.resolve({ result: true, exitCode: 0 });
       };
 
       let TryEachTask = require('../../lib/tasks/try-each');
@@ -123,6 +123,21 @@ describe('utils/config', () => {
     });
   });
 
+  it('loads custom adapters given as module paths from the project root', async () => {
+    fs.outputFileSync(
+      'lib/vendored-assets-adapter.js',
+      "module.exports = { configKey: 'assets', setup() {}, changeToDependencySet() {}, cleanup() {} };"
+    );
+    generateConfigFile(
+      "module.exports = { adapters: ['./lib/vendored-assets-adapter'], scenarios: [ { assets: 'v2' }] };"
+    );
+
+    let config = await getConfig({ project });
+
+    expect(config.adapters).to.have.lengthOf(1);
+    expect(config.adapters[0].configKey).to.equal('assets');
+  });
+
   it('throws error if project.root/config/ember-try.js is not present and no versionCompatibility', () => {
     return getConfig({ project }).catch((error) => {
       expect(error).to.match(
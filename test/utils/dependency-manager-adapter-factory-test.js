@@ -6,6 +6,11 @@ const tmp = require('tmp-sync');
 const expect = require('chai').expect;
 const DependencyManagerAdapterFactory = require('../../lib/utils/dependency-manager-adapter-factory');
 const WorkspaceAdapter = require('../../lib/dependency-manager-adapters/workspace');
+const PnpmWorkspaceAdapter = require('../../lib/dependency-manager-adapters/pnpm-workspace');
+const BunAdapter = require('../../lib/dependency-manager-adapters/bun');
+const YarnAdapter = require('../../lib/dependency-manager-adapters/yarn');
+const NpmAdapter = require('../../lib/dependency-manager-adapters/npm');
+const PnpmAdapter = require('../../lib/dependency-manager-adapters/pnpm');
 let writeJSONFile = require('../helpers/write-json-file');
 
 const ROOT = process.cwd();
@@ -79,5 +84,279 @@ describe('DependencyManagerAdapterFactory', () => {
       expect(adapters[0]).to.be.instanceOf(WorkspaceAdapter);
       expect(adapters.length).to.equal(1);
     });
+
+    it('creates a yarn adapter for Yarn 2+ projects with a `.yarnrc.yml`', () => {
+      writeJSONFile('package.json', {});
+      fs.outputFileSync('.yarnrc.yml', 'nodeLinker: pnp\n');
+
+      let adapters = DependencyManagerAdapterFactory.generateFromConfig(
+        { useYarn: true, scenarios: [{ npm: {} }] },
+        tmpdir
+      );
+      expect(adapters[0]).to.be.instanceOf(YarnAdapter);
+      expect(adapters.length).to.equal(1);
+    });
+
+    it('creates a yarn adapter for projects using Yarn 2+ through `packageManager`', () => {
+      writeJSONFile('package.json', { packageManager: 'yarn@4.1.0' });
+
+      let adapters = DependencyManagerAdapterFactory.generateFromConfig(
+        { useYarn: true, scenarios: [{ npm: {} }] },
+        tmpdir
+      );
+      expect(adapters[0]).to.be.instanceOf(YarnAdapter);
+    });
+
+    it('keeps using the npm adapter for Yarn 1 projects', () => {
+      writeJSONFile('package.json', { packageManager: 'yarn@1.22.19' });
+
+      let adapters = DependencyManagerAdapterFactory.generateFromConfig(
+        { useYarn: true, scenarios: [{ npm: {} }] },
+        tmpdir
+      );
+      expect(adapters[0]).to.be.instanceOf(NpmAdapter);
+      expect(adapters[0].useYarnCommand).to.be.true;
+    });
+
+    it('creates a bun adapter when useBun is set to true', () => {
+      let adapters = DependencyManagerAdapterFactory.generateFromConfig(
+        { useBun: true, scenarios: [{ npm: {} }] },
+        tmpdir
+      );
+      expect(adapters[0]).to.be.instanceOf(BunAdapter);
+      expect(adapters.length).to.equal(1);
+    });
+
+    it('creates a pnpm workspace adapter when useWorkspaces and usePnpm are set to true', () => {
+      writeJSONFile('package.json', {});
+      fs.outputFileSync('pnpm-workspace.yaml', 'packages:\n  - packages/*\n');
+      fs.outputJsonSync('packages/test/package.json', {});
+
+      let adapters = DependencyManagerAdapterFactory.generateFromConfig(
+        { usePnpm: true, useWorkspaces: true, scenarios: [{ npm: {} }] },
+        tmpdir
+      );
+      expect(adapters[0]).to.be.instanceOf(PnpmWorkspaceAdapter);
+      expect(adapters.length).to.equal(1);
+    });
+
+    describe('without a configured package manager', () => {
+      let output;
+      let ui;
+
+      function generate(config) {
+        return DependencyManagerAdapterFactory.generateFromConfig(
+          Object.assign({ scenarios: [{ npm: {} }] }, config),
+          tmpdir,
+          ui
+        );
+      }
+
+      beforeEach(() => {
+        output = [];
+        ui = { writeLine: (line) => output.push(line) };
+        writeJSONFile('package.json', {});
+      });
+
+      it('uses the `packageManager` field first', () => {
+        writeJSONFile('package.json', { packageManager: 'pnpm@8.6.0' });
+        fs.outputFileSync('yarn.lock', '');
+
+        let adapters = generate();
+
+        expect(adapters[0]).to.be.instanceOf(PnpmAdapter);
+        expect(output).to.deep.equal([
+          'Using pnpm to install dependencies, as specified by "packageManager": "pnpm@8.6.0" in package.json',
+        ]);
+      });
+
+      it('detects pnpm from `pnpm-lock.yaml`', () => {
+        fs.outputFileSync('pnpm-lock.yaml', '');
+        fs.outputFileSync('package-lock.json', '');
+
+        expect(generate()[0]).to.be.instanceOf(PnpmAdapter);
+        expect(output).to.deep.equal([
+          'Using pnpm to install dependencies, because pnpm-lock.yaml was found',
+        ]);
+      });
+
+      it('detects yarn from `yarn.lock`', () => {
+        fs.outputFileSync('yarn.lock', '');
+
+        let adapters = generate();
+
+        expect(adapters[0]).to.be.instanceOf(NpmAdapter);
+        expect(adapters[0].useYarnCommand).to.be.true;
+        expect(output).to.deep.equal([
+          'Using yarn to install dependencies, because yarn.lock was found',
+        ]);
+      });
+
+      it('detects Yarn 2+ from `yarn.lock` and `.yarnrc.yml`', () => {
+        fs.outputFileSync('yarn.lock', '');
+        fs.outputFileSync('.yarnrc.yml', '');
+
+        expect(generate()[0]).to.be.instanceOf(YarnAdapter);
+      });
+
+      it('detects bun from `bun.lockb` and `bun.lock`', () => {
+        fs.outputFileSync('bun.lockb', '');
+        expect(generate()[0]).to.be.instanceOf(BunAdapter);
+
+        fs.removeSync('bun.lockb');
+        fs.outputFileSync('bun.lock', '');
+        expect(generate()[0]).to.be.instanceOf(BunAdapter);
+      });
+
+      it('detects npm from `package-lock.json`', () => {
+        fs.outputFileSync('package-lock.json', '');
+
+        let adapters = generate();
+
+        expect(adapters[0]).to.be.instanceOf(NpmAdapter);
+        expect(adapters[0].useYarnCommand).to.be.false;
+        expect(output).to.deep.equal([
+          'Using npm to install dependencies, because package-lock.json was found',
+        ]);
+      });
+
+      it('falls back to npm', () => {
+        expect(generate()[0]).to.be.instanceOf(NpmAdapter);
+        expect(output).to.deep.equal([
+          'Using npm to install dependencies, because no lockfile or "packageManager" field was found',
+        ]);
+      });
+
+      it('detects the package manager for workspaces', () => {
+        writeJSONFile('package.json', { workspaces: ['packages/*'] });
+        fs.outputJsonSync('packages/test/package.json', {});
+        fs.outputFileSync('yarn.lock', '');
+
+        let adapters = generate({ useWorkspaces: true });
+
+        expect(adapters[0]).to.be.instanceOf(WorkspaceAdapter);
+        expect(adapters[0].useYarnCommand).to.be.true;
+      });
+
+      it('does not detect anything when a package manager is configured', () => {
+        fs.outputFileSync('pnpm-lock.yaml', '');
+
+        let adapters = generate({ useYarn: false });
+
+        expect(adapters[0]).to.be.instanceOf(NpmAdapter);
+        expect(output).to.deep.equal([]);
+      });
+    });
+
+    describe('with `cache`', () => {
+      it('gives the adapter a cache in the configured directory', () => {
+        let [adapter] = DependencyManagerAdapterFactory.generateFromConfig(
+          { useYarn: false, cache: { directory: 'tmp-cache' }, scenarios: [{ npm: {} }] },
+          tmpdir
+        );
+
+        expect(adapter.cache.directory).to.equal(path.join(tmpdir, 'tmp-cache'));
+      });
+
+      it('keeps the cache in the project when installing into a working copy', () => {
+        let copy = path.join(tmpdir, 'copy');
+
+        let [adapter] = DependencyManagerAdapterFactory.generateFromConfig(
+          { useYarn: false, cache: true, scenarios: [{ npm: {} }] },
+          copy,
+          undefined,
+          tmpdir
+        );
+
+        expect(adapter.cwd).to.equal(copy);
+        expect(adapter.cache.directory).to.equal(path.join(tmpdir, '.ember-try-cache'));
+      });
+
+      it('is not used with workspaces', () => {
+        let output = [];
+        fs.outputJsonSync(path.join(tmpdir, 'package.json'), { workspaces: ['packages/*'] });
+
+        let [adapter] = DependencyManagerAdapterFactory.generateFromConfig(
+          { useYarn: true, useWorkspaces: true, cache: true, scenarios: [{ npm: {} }] },
+          tmpdir,
+          { writeLine: (line) => output.push(line) }
+        );
+
+        expect(adapter.cache).to.be.undefined;
+        expect(output.join('\n')).to.include('The `cache` option is not supported');
+      });
+    });
+
+    describe('with `preserveLockfile`', () => {
+      it('saves the lockfiles in the project when installing into a working copy', () => {
+        let copy = path.join(tmpdir, 'copy');
+
+        let [adapter] = DependencyManagerAdapterFactory.generateFromConfig(
+          {
+            useYarn: false,
+            preserveLockfile: { directory: 'lockfiles' },
+            scenarios: [{ npm: {} }],
+          },
+          copy,
+          undefined,
+          tmpdir
+        );
+
+        expect(adapter.cwd).to.equal(copy);
+        expect(adapter.lockfileDirectory).to.equal(path.join(tmpdir, 'lockfiles'));
+      });
+    });
+
+    describe('with custom adapters', () => {
+      let assetsAdapter = {
+        configKey: 'assets',
+        setup() {},
+        changeToDependencySet() {},
+        cleanup() {},
+      };
+
+      it('adds them after the built-in adapters', () => {
+        let adapters = DependencyManagerAdapterFactory.generateFromConfig(
+          { useYarn: false, adapters: [assetsAdapter], scenarios: [{ npm: {}, assets: 'v2' }] },
+          tmpdir
+        );
+
+        expect(adapters.map((adapter) => adapter.configKey)).to.deep.equal(['npm', 'assets']);
+        expect(adapters[1]).to.equal(assetsAdapter);
+      });
+
+      it('instantiates classes with the project root', () => {
+        class InstallerAdapter {
+          constructor(options) {
+            this.cwd = options.cwd;
+          }
+
+          setup() {}
+          changeToDependencySet() {}
+          cleanup() {}
+        }
+        InstallerAdapter.prototype.configKey = 'npm';
+
+        let adapters = DependencyManagerAdapterFactory.generateFromConfig(
+          { adapters: [InstallerAdapter], scenarios: [{ npm: {} }] },
+          tmpdir
+        );
+
+        expect(adapters.length).to.equal(1, 'replaces the built-in npm adapter');
+        expect(adapters[0]).to.be.instanceOf(InstallerAdapter);
+        expect(adapters[0].cwd).to.equal(tmpdir);
+      });
+
+      it('errors for adapters missing required methods', () => {
+        expect(() => {
+          DependencyManagerAdapterFactory.generateFromConfig(
+            { adapters: [{ configKey: 'assets', setup() {} }], scenarios: [{ assets: 'v2' }] },
+            tmpdir
+          );
+        }).to.throw(
+          'The custom adapter for `assets` must implement `changeToDependencySet`, `cleanup`'
+        );
+      });
+    });
   });
 });
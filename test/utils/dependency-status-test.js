@@ -0,0 +1,49 @@
+'use strict';
+
+const expect = require('chai').expect;
+const dependencyStatus = require('../../lib/utils/dependency-status');
+
+describe('utils/dependency-status', () => {
+  it('is satisfied by an exact match', () => {
+    expect(dependencyStatus({ versionExpected: '4.12.0', versionSeen: '4.12.0' })).to.equal(
+      'satisfies'
+    );
+  });
+
+  it('is satisfied by a version within the requested range', () => {
+    expect(dependencyStatus({ versionExpected: '~4.12.0', versionSeen: '4.12.3' })).to.equal(
+      'satisfies'
+    );
+    expect(dependencyStatus({ versionExpected: '^5.0.0', versionSeen: '5.5.0-beta.1' })).to.equal(
+      'satisfies'
+    );
+  });
+
+  it('is out of range when the version does not satisfy the requested range', () => {
+    expect(dependencyStatus({ versionExpected: '~4.12.0', versionSeen: '4.8.0' })).to.equal(
+      'out-of-range'
+    );
+  });
+
+  it('is not installed when nothing was found', () => {
+    expect(dependencyStatus({ versionExpected: '4.12.0', versionSeen: null })).to.equal(
+      'not-installed'
+    );
+  });
+
+  it('expects removed dependencies to not be installed', () => {
+    expect(dependencyStatus({ versionExpected: null, versionSeen: null })).to.equal('satisfies');
+    expect(dependencyStatus({ versionExpected: null, versionSeen: '1.0.0' })).to.equal(
+      'out-of-range'
+    );
+  });
+
+  it('can not verify versions that are not semver ranges', () => {
+    expect(
+      dependencyStatus({
+        versionExpected: 'https://example.com/ember-source.tgz',
+        versionSeen: '5.6.0-alpha.1',
+      })
+    ).to.equal('unverifiable');
+  });
+});
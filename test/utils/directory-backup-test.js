@@ -0,0 +1,131 @@
+'use strict';
+
+const expect = require('chai').expect;
+const fs = require('fs-extra');
+const path = require('path');
+const tmp = require('tmp-sync');
+const { backupDirectory, restoreDirectory } = require('../../lib/utils/directory-backup');
+
+const root = process.cwd();
+const tmproot = path.join(root, 'tmp');
+
+describe('utils/directory-backup', () => {
+  let tmpdir;
+
+  beforeEach(async () => {
+    tmpdir = tmp.in(tmproot);
+    process.chdir(tmpdir);
+
+    await fs.outputJson('node_modules/ember-source/package.json', { version: '4.12.0' });
+    await fs.outputJson('node_modules/.package-lock.json', { original: true });
+    await fs.ensureSymlink('ember-source', 'node_modules/.bin-link');
+  });
+
+  afterEach(async () => {
+    process.chdir(root);
+    await fs.remove(tmproot);
+  });
+
+  describe('backupDirectory', () => {
+    it('backs up files, directories and symlinks', async () => {
+      await backupDirectory('node_modules', '.node_modules.ember-try');
+
+      expect(await fs.readJson('.node_modules.ember-try/ember-source/package.json')).to.deep.equal({
+        version: '4.12.0',
+      });
+      expect(await fs.readlink('.node_modules.ember-try/.bin-link')).to.equal('ember-source');
+      expect(fs.existsSync('.node_modules.ember-try/.ember-try-backup-complete')).to.be.true;
+      expect(fs.existsSync('.node_modules.ember-try.tmp')).to.be.false;
+    });
+
+    it('keeps the original contents when the packages are reinstalled', async () => {
+      await backupDirectory('node_modules', '.node_modules.ember-try');
+
+      await fs.remove('node_modules');
+      await fs.outputJson('node_modules/ember-source/package.json', { version: '5.4.0' });
+
+      expect(await fs.readJson('.node_modules.ember-try/ember-source/package.json')).to.deep.equal({
+        version: '4.12.0',
+      });
+    });
+
+    it('keeps the original contents when installed files are written in place', async () => {
+      await backupDirectory('node_modules', '.node_modules.ember-try');
+
+      await fs.writeFile(
+        'node_modules/ember-source/package.json',
+        JSON.stringify({ version: '5.4.0' })
+      );
+
+      expect(await fs.readJson('.node_modules.ember-try/ember-source/package.json')).to.deep.equal({
+        version: '4.12.0',
+      });
+
+      await restoreDirectory('.node_modules.ember-try', 'node_modules');
+
+      expect(await fs.readJson('node_modules/ember-source/package.json')).to.deep.equal({
+        version: '4.12.0',
+      });
+    });
+
+    it('copies the package manager metadata in the root, which is written in place', async () => {
+      await backupDirectory('node_modules', '.node_modules.ember-try');
+
+      await fs.writeJson('node_modules/.package-lock.json', { original: false });
+
+      expect(await fs.readJson('.node_modules.ember-try/.package-lock.json')).to.deep.equal({
+        original: true,
+      });
+    });
+
+    it('replaces an earlier backup', async () => {
+      await fs.outputFile('.node_modules.ember-try/stale.js', '');
+
+      await backupDirectory('node_modules', '.node_modules.ember-try');
+
+      expect(fs.existsSync('.node_modules.ember-try/stale.js')).to.be.false;
+    });
+  });
+
+  describe('restoreDirectory', () => {
+    it('moves the backup back into place', async () => {
+      await backupDirectory('node_modules', '.node_modules.ember-try');
+      await fs.remove('node_modules');
+      await fs.outputJson('node_modules/ember-source/package.json', { version: '5.4.0' });
+      await fs.outputFile('node_modules/added-by-scenario.js', '');
+
+      expect(await restoreDirectory('.node_modules.ember-try', 'node_modules')).to.be.true;
+
+      expect(await fs.readJson('node_modules/ember-source/package.json')).to.deep.equal({
+        version: '4.12.0',
+      });
+      expect(fs.existsSync('node_modules/added-by-scenario.js')).to.be.false;
+      expect(fs.existsSync('node_modules/.ember-try-backup-complete')).to.be.false;
+      expect(fs.existsSync('.node_modules.ember-try')).to.be.false;
+      expect(fs.existsSync('node_modules.ember-try-replaced')).to.be.false;
+    });
+
+    it('returns false without a backup', async () => {
+      expect(await restoreDirectory('.node_modules.ember-try', 'node_modules')).to.be.false;
+    });
+
+    it('does not restore an incomplete backup', async () => {
+      await fs.outputJson('.node_modules.ember-try/ember-source/package.json', {
+        version: '4.12.0',
+      });
+      await fs.writeJson('node_modules/ember-source/package.json', { version: '5.4.0' });
+
+      let error;
+      try {
+        await restoreDirectory('.node_modules.ember-try', 'node_modules');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.include('The backup in .node_modules.ember-try is incomplete');
+      expect(await fs.readJson('node_modules/ember-source/package.json')).to.deep.equal({
+        version: '5.4.0',
+      });
+    });
+  });
+});
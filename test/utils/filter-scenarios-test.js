@@ -0,0 +1,75 @@
+'use strict';
+
+const expect = require('chai').expect;
+const filterScenarios = require('../../lib/utils/filter-scenarios');
+
+const scenarios = [
+  { name: 'ember-lts-4.12', tags: ['lts'] },
+  { name: 'ember-lts-5.4', tags: ['lts'] },
+  { name: 'ember-release' },
+  { name: 'ember-beta', tags: ['beta'] },
+  { name: 'ember-canary', tags: ['canary'] },
+  { name: 'embroider-safe', tags: ['embroider'] },
+  { name: 'embroider-optimized', tags: ['embroider'] },
+];
+
+function names(filtered) {
+  return filtered.map((scenario) => scenario.name);
+}
+
+describe('utils/filter-scenarios', () => {
+  it('returns all scenarios without options', () => {
+    expect(filterScenarios(scenarios, {})).to.eql(scenarios);
+  });
+
+  it('selects scenarios matching a glob', () => {
+    expect(names(filterScenarios(scenarios, { filter: 'embroider-*' }))).to.eql([
+      'embroider-safe',
+      'embroider-optimized',
+    ]);
+  });
+
+  it('selects scenarios matching any of a comma separated list of globs', () => {
+    expect(names(filterScenarios(scenarios, { filter: 'ember-lts-?.*, ember-release' }))).to.eql([
+      'ember-lts-4.12',
+      'ember-lts-5.4',
+      'ember-release',
+    ]);
+  });
+
+  it('selects scenarios matching a regular expression', () => {
+    expect(names(filterScenarios(scenarios, { filter: '/^EMBER-(beta|canary)$/i' }))).to.eql([
+      'ember-beta',
+      'ember-canary',
+    ]);
+  });
+
+  it('excludes scenarios matching a pattern', () => {
+    expect(names(filterScenarios(scenarios, { exclude: '*canary,embroider-*' }))).to.eql([
+      'ember-lts-4.12',
+      'ember-lts-5.4',
+      'ember-release',
+      'ember-beta',
+    ]);
+  });
+
+  it('selects scenarios with any of the given tags', () => {
+    expect(names(filterScenarios(scenarios, { tags: 'lts,beta' }))).to.eql([
+      'ember-lts-4.12',
+      'ember-lts-5.4',
+      'ember-beta',
+    ]);
+  });
+
+  it('combines filter, exclude and tags', () => {
+    expect(
+      names(filterScenarios(scenarios, { filter: 'ember-*', exclude: '*-5.4', tags: 'lts' }))
+    ).to.eql(['ember-lts-4.12']);
+  });
+
+  it('throws when no scenario matches', () => {
+    expect(() => filterScenarios(scenarios, { filter: 'nope' })).to.throw(
+      /No scenarios match the given `--filter`, `--exclude` or `--tags` options/
+    );
+  });
+});
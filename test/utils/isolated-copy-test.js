@@ -0,0 +1,60 @@
+'use strict';
+
+const expect = require('chai').expect;
+const fs = require('fs-extra');
+const path = require('path');
+const tmp = require('tmp-sync');
+const { createIsolatedCopy, removeIsolatedCopy } = require('../../lib/utils/isolated-copy');
+
+const root = process.cwd();
+const tmproot = path.join(root, 'tmp');
+
+describe('utils/isolated-copy', () => {
+  let tmpdir;
+  let copy;
+
+  beforeEach(async () => {
+    tmpdir = tmp.in(tmproot);
+
+    await fs.outputJson(path.join(tmpdir, 'package.json'), { name: 'project' });
+    await fs.outputFile(path.join(tmpdir, 'dist/index.js'), '');
+    await fs.outputFile(path.join(tmpdir, 'tmp/cache'), '');
+    await fs.outputFile(path.join(tmpdir, 'node_modules/dep/index.js'), '');
+    await fs.outputFile(path.join(tmpdir, 'packages/my-addon/dist/index.js'), '');
+    await fs.outputFile(path.join(tmpdir, 'packages/my-addon/node_modules/dep/index.js'), '');
+  });
+
+  afterEach(async () => {
+    await removeIsolatedCopy(copy);
+    await fs.remove(tmproot);
+  });
+
+  it('skips build output in the root only, and node_modules everywhere', async () => {
+    copy = await createIsolatedCopy(tmpdir, 'ember release');
+
+    expect(fs.existsSync(path.join(copy, 'package.json'))).to.be.true;
+    expect(fs.existsSync(path.join(copy, 'packages/my-addon/dist/index.js'))).to.be.true;
+    expect(fs.existsSync(path.join(copy, 'dist'))).to.be.false;
+    expect(fs.existsSync(path.join(copy, 'tmp'))).to.be.false;
+    expect(fs.existsSync(path.join(copy, 'node_modules'))).to.be.false;
+    expect(fs.existsSync(path.join(copy, 'packages/my-addon/node_modules'))).to.be.false;
+  });
+
+  it('is created next to the project, so relative paths out of it still resolve', async () => {
+    copy = await createIsolatedCopy(tmpdir, 'ember release');
+
+    expect(path.dirname(copy)).to.equal(path.dirname(tmpdir));
+    expect(path.basename(copy)).to.match(/^\.ember-try-.+-ember-release-/);
+  });
+
+  it('skips the excluded paths', async () => {
+    await fs.outputFile(path.join(tmpdir, '.ember-try-cache/entry/package.json'), '');
+
+    copy = await createIsolatedCopy(tmpdir, 'ember release', {
+      exclude: [path.join(tmpdir, '.ember-try-cache')],
+    });
+
+    expect(fs.existsSync(path.join(copy, 'package.json'))).to.be.true;
+    expect(fs.existsSync(path.join(copy, '.ember-try-cache'))).to.be.false;
+  });
+});
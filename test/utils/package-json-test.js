@@ -0,0 +1,85 @@
+'use strict';
+
+const expect = require('chai').expect;
+const fs = require('fs-extra');
+const path = require('path');
+const tmp = require('tmp-sync');
+const {
+  packageJSONForDependencySet,
+  writePackageJSON,
+  packageJSONChanges,
+  installedVersionOf,
+} = require('../../lib/utils/package-json');
+
+const root = process.cwd();
+const tmproot = path.join(root, 'tmp');
+
+describe('utils/package-json', () => {
+  let tmpdir;
+
+  beforeEach(() => {
+    tmpdir = tmp.in(tmproot);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmproot);
+  });
+
+  describe('packageJSONForDependencySet', () => {
+    it('sets and removes dependencies of the given kinds', () => {
+      let packageJSON = {
+        dependencies: { 'ember-source': '4.12.0', 'ember-data': '4.12.0' },
+      };
+
+      let result = packageJSONForDependencySet(
+        packageJSON,
+        {
+          dependencies: { 'ember-source': '5.4.0', 'ember-data': null },
+          devDependencies: { 'ember-cli': null },
+          overrides: { 'ember-source': '$ember-source' },
+          resolutions: { 'ember-source': '5.4.0' },
+        },
+        ['overrides']
+      );
+
+      expect(result).to.deep.equal({
+        dependencies: { 'ember-source': '5.4.0' },
+        overrides: { 'ember-source': '$ember-source' },
+      });
+    });
+  });
+
+  describe('writePackageJSON', () => {
+    it('starts from the backup and reports the planned changes', async () => {
+      let packageJSONFile = path.join(tmpdir, 'package.json');
+      let backupFile = path.join(tmpdir, 'package.json.ember-try');
+      let update = (packageJSON) => Object.assign(packageJSON, { private: true });
+
+      await fs.outputJson(packageJSONFile, { name: 'changed' });
+      await fs.outputJson(backupFile, { name: 'original' });
+
+      expect(packageJSONChanges(packageJSONFile, update)).to.deep.equal([
+        {
+          file: packageJSONFile,
+          before: '{"name":"changed"}\n',
+          after: JSON.stringify({ name: 'changed', private: true }, null, 2),
+        },
+      ]);
+
+      writePackageJSON(packageJSONFile, backupFile, update);
+
+      expect(await fs.readJson(packageJSONFile)).to.deep.equal({ name: 'original', private: true });
+    });
+  });
+
+  describe('installedVersionOf', () => {
+    it('reads the version from node_modules', async () => {
+      await fs.outputJson(path.join(tmpdir, 'node_modules/ember-source/package.json'), {
+        version: '5.4.0',
+      });
+
+      expect(installedVersionOf(tmpdir, 'ember-source')).to.equal('5.4.0');
+      expect(installedVersionOf(tmpdir, 'ember-data')).to.equal(null);
+    });
+  });
+});
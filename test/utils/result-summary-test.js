@@ -0,0 +1,159 @@
+'use strict';
+
+const expect = require('chai').expect;
+const ResultSummary = require('../../lib/utils/result-summary');
+
+const results = [
+  {
+    scenario: 'default',
+    result: true,
+    allowedToFail: false,
+    command: 'ember test',
+    dependencyState: [{ name: 'ember-source', versionExpected: '4.12.0', versionSeen: '4.12.0' }],
+    timing: { install: 1500, command: 500 },
+    exitCode: 0,
+  },
+  {
+    scenario: 'ember-release',
+    result: false,
+    allowedToFail: false,
+    command: 'ember test',
+    envState: { EMBROIDER: 'true' },
+    dependencyState: [
+      { name: 'ember-source', versionExpected: '5.0.0', versionSeen: '5.1.0' },
+      { name: 'ember-data', versionExpected: '5.0.0', versionSeen: null },
+    ],
+    timing: { install: 1000, command: 250 },
+    exitCode: 1,
+  },
+  {
+    scenario: 'ember-<canary>',
+    result: false,
+    allowedToFail: true,
+    command: 'ember test',
+    dependencyState: [],
+    timing: { install: 0, command: 0 },
+    exitCode: 1,
+  },
+];
+
+describe('utils/result-summary', () => {
+  describe('#toJUnitXML', () => {
+    let xml;
+
+    beforeEach(() => {
+      xml = new ResultSummary({ results }).toJUnitXML();
+    });
+
+    it('counts failures and allowed failures as skipped', () => {
+      expect(xml).to.include(
+        '<testsuite name="ember-try" tests="3" failures="1" skipped="1" time="3.250">'
+      );
+    });
+
+    it('reports each scenario as a testcase', () => {
+      expect(xml).to.include('<testcase name="default" classname="ember-try" time="2">');
+      expect(xml).to.include(
+        '<testcase name="ember-release" classname="ember-try" time="1.25">\n' +
+          '      <failure message="Command ember test exited 1"/>'
+      );
+      expect(xml).to.include(
+        '<testcase name="ember-&lt;canary&gt;" classname="ember-try" time="0">\n' +
+          '      <skipped message="Allowed to fail: Command ember test exited 1"/>'
+      );
+    });
+
+    it('includes the command, env and dependency mismatches in system-out', () => {
+      expect(xml).to.include(
+        [
+          '<system-out><![CDATA[Command run: ember test',
+          'with env: {',
+          '  "EMBROIDER": "true"',
+          '}',
+          'Dependency mismatches:',
+          '  ember-source: expected 5.0.0, used 5.1.0',
+          '  ember-data: expected 5.0.0, used Not Installed]]></system-out>',
+        ].join('\n')
+      );
+      expect(xml).to.include('<system-out><![CDATA[Command run: ember test]]></system-out>');
+    });
+
+    it('names the failed steps of multi-step commands', () => {
+      let steps = [
+        { name: 'lint', command: 'yarn lint', result: true, attempts: 1, duration: 100 },
+        { name: 'test', command: 'ember test', result: false, attempts: 1, duration: 150 },
+        { name: 'test:node', command: 'yarn test:node', skipped: true },
+      ];
+      let stepsXml = new ResultSummary({
+        results: [Object.assign({}, results[1], { command: 'yarn lint && ember test', steps })],
+      }).toJUnitXML();
+
+      expect(stepsXml).to.include('<failure message="Failed steps: test"/>');
+      expect(stepsXml).to.include(
+        [
+          'Command run: yarn lint && ember test',
+          '  Step lint: SUCCESS',
+          '  Step test: FAIL',
+          '  Step test:node: SKIPPED',
+        ].join('\n')
+      );
+    });
+  });
+
+  describe('#toJSON', () => {
+    it('reports hook failures with their own status', () => {
+      let hookFailure = { hook: 'beforeEach', message: 'The beforeEach hook failed: exited 2' };
+      let { scenarios } = new ResultSummary({
+        results: [Object.assign({}, results[0], { result: false, exitCode: null, hookFailure })],
+      }).toJSON();
+
+      expect(scenarios[0]).to.include({ result: 'HOOK_FAILURE', exitCode: null });
+      expect(scenarios[0].hookFailure).to.deep.equal(hookFailure);
+      expect(new ResultSummary({ results }).toJSON().scenarios[0]).to.not.have.property(
+        'hookFailure'
+      );
+    });
+  });
+
+  describe('#print', () => {
+    it('groups the dependency table per workspace package', () => {
+      let output = [];
+      let ui = { writeLine: (line) => output.push(line) };
+
+      new ResultSummary({
+        ui,
+        results: [
+          {
+            scenario: 'ember-release',
+            result: true,
+            command: 'ember test',
+            dependencyState: [
+              {
+                name: 'ember-source',
+                versionExpected: '5.4.0',
+                versionSeen: '5.4.0',
+                packageManager: 'pnpm',
+                workspace: 'test-app',
+              },
+              {
+                name: 'ember-source',
+                versionExpected: '5.4.0',
+                versionSeen: '5.4.0',
+                packageManager: 'pnpm',
+                workspace: 'docs',
+              },
+            ],
+          },
+        ],
+      }).print();
+
+      let tables = output.filter((line) => typeof line === 'object');
+
+      expect(output).to.include('Workspace: test-app');
+      expect(output).to.include('Workspace: docs');
+      expect(output.indexOf('Workspace: docs')).to.be.above(output.indexOf(tables[0]));
+      expect(tables.length).to.equal(2);
+      expect(tables[0].length).to.equal(1);
+    });
+  });
+});
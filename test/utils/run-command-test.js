@@ -32,7 +32,57 @@ describe('utils/run-command', () => {
     let runCommand = require('../../lib/utils/run-command');
 
     return runCommand('rootPath', ['ember', 'help', '--json', 'true'], {}).then((result) => {
-      expect(result).to.equal(true);
+      expect(result).to.eql({ result: true, exitCode: 0 });
     });
   });
+
+  it('resolves with the exit code of a failing command', async () => {
+    mockery.registerMock('./run', () => RSVP.reject(1));
+
+    let runCommand = require('../../lib/utils/run-command');
+
+    expect(await runCommand('rootPath', ['yarn', 'test'], {})).to.eql({
+      result: false,
+      exitCode: 1,
+    });
+  });
+
+  it('resolves with exit codes other than 1', async () => {
+    mockery.registerMock('./run', () => RSVP.reject(2));
+
+    let runCommand = require('../../lib/utils/run-command');
+
+    expect(await runCommand('rootPath', ['tsc', '--noEmit'], {})).to.eql({
+      result: false,
+      exitCode: 2,
+    });
+  });
+
+  it('rejects when the command could not be run', async () => {
+    mockery.registerMock('./run', () => RSVP.reject(undefined));
+
+    let runCommand = require('../../lib/utils/run-command');
+
+    let error;
+    try {
+      await runCommand('rootPath', ['not-a-command'], {});
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.message).to.equal('The command not-a-command could not be run');
+  });
+
+  it('only quotes the ember path for a shell', async () => {
+    let paths = [];
+    mockery.registerMock('./run', async (command, args) => paths.push(args[0]));
+
+    let runCommand = require('../../lib/utils/run-command');
+
+    await runCommand('rootPath', ['ember', 'test'], {});
+    await runCommand('rootPath', ['ember', 'test'], { shell: false });
+
+    expect(paths[0]).to.match(/^".*\/ember"$/);
+    expect(paths[1]).to.match(/^[^"].*\/ember$/);
+  });
 });
@@ -1,6 +1,9 @@
 'use strict';
 
 const expect = require('chai').expect;
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
 
 describe('utils/run', () => {
   it('rejects if command exits non-zero', () => {
@@ -14,4 +17,93 @@ describe('utils/run', () => {
         expect(res).to.equal(1, 'Should reject with exit code');
       });
   });
+
+  it('passes the arguments as they are without a shell', async () => {
+    let run = require('../../lib/utils/run');
+
+    let result = await run(
+      'node',
+      ['-e', 'process.stdout.write(JSON.stringify(process.argv.slice(1)))', 'my module', '$HOME'],
+      { shell: false, stdio: 'pipe' }
+    );
+
+    expect(JSON.parse(result.stdout)).to.eql(['my module', '$HOME']);
+  });
+
+  it('still pipes output that is read with SHUT_UP', async () => {
+    let run = require('../../lib/utils/run');
+    let shutUp = process.env.SHUT_UP;
+    process.env.SHUT_UP = 'true';
+
+    try {
+      let result = await run('node', ['--version'], { stdio: 'pipe' });
+
+      expect(result.stdout.trim()).to.equal(process.version);
+    } finally {
+      if (shutUp === undefined) {
+        delete process.env.SHUT_UP;
+      } else {
+        process.env.SHUT_UP = shutUp;
+      }
+    }
+  });
+
+  describe('with a timeout', () => {
+    if (process.platform === 'win32') {
+      return;
+    }
+
+    let marker;
+
+    beforeEach(() => {
+      marker = path.join(os.tmpdir(), `ember-try-run-test-${process.pid}`);
+    });
+
+    afterEach(() => {
+      fs.removeSync(marker);
+    });
+
+    it('kills the process tree and rejects with a timeout error', async function () {
+      this.timeout(5000);
+      let run = require('../../lib/utils/run');
+
+      let error;
+      try {
+        await run('sh', ['-c', `"sleep 1 && touch ${marker}"`], { timeout: 100 });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.timedOut).to.equal(true);
+      expect(error.message).to.match(/timed out after 100ms/);
+
+      await new Promise((resolve) => setTimeout(resolve, 1500));
+      expect(fs.existsSync(marker)).to.equal(false, 'the grandchild process was killed');
+    });
+
+    it('kills the running commands with the processes they started', async function () {
+      this.timeout(5000);
+      let run = require('../../lib/utils/run');
+
+      let withTimeout = run('sh', ['-c', `"sleep 1 && touch ${marker}"`], { timeout: 10000 });
+      let withoutTimeout = run('sh', ['-c', `"sleep 1 && touch ${marker}"`], {});
+      await new Promise((resolve) => setTimeout(resolve, 200));
+
+      run.killRunning();
+
+      let results = await Promise.allSettled([withTimeout, withoutTimeout]);
+      expect(results.map((result) => result.status)).to.eql(['rejected', 'rejected']);
+
+      await new Promise((resolve) => setTimeout(resolve, 1500));
+      expect(fs.existsSync(marker)).to.equal(false, 'the grandchild processes were killed');
+    });
+
+    it('resolves if the command finishes in time', async () => {
+      let run = require('../../lib/utils/run');
+
+      let result = await run('true', [], { timeout: 5000 });
+
+      expect(result.exitCode).to.equal(0);
+    });
+  });
 });
@@ -0,0 +1,199 @@
+'use strict';
+
+const expect = require('chai').expect;
+const fs = require('fs-extra');
+const path = require('path');
+const tmp = require('tmp-sync');
+const ScenarioCache = require('../../lib/utils/scenario-cache');
+const generateMockRun = require('../helpers/generate-mock-run');
+
+const root = process.cwd();
+const tmproot = path.join(root, 'tmp');
+
+describe('utils/scenario-cache', () => {
+  let tmpdir, cache, installCount, run;
+
+  beforeEach(async () => {
+    tmpdir = tmp.in(tmproot);
+    process.chdir(tmpdir);
+
+    cache = new ScenarioCache({ directory: path.join(tmpdir, '.ember-try-cache') });
+    installCount = 0;
+    run = generateMockRun(
+      [
+        {
+          command: 'pnpm --version',
+          async callback() {
+            return { stdout: '8.15.1\n' };
+          },
+        },
+      ],
+      { allowPassthrough: false }
+    );
+
+    await fs.outputJson('package.json', { devDependencies: { 'ember-source': '~5.4.0' } });
+    await fs.outputFile('pnpm-lock.yaml', 'originalYAML: true\n');
+  });
+
+  afterEach(async () => {
+    process.chdir(root);
+    await fs.remove(tmproot);
+  });
+
+  function install(installOptions) {
+    return cache.install(
+      {
+        cwd: tmpdir,
+        run,
+        packageManager: 'pnpm',
+        lockfiles: ['pnpm-lock.yaml'],
+        installOptions,
+        scenario: { name: 'ember-lts-5.4' },
+      },
+      async () => {
+        installCount++;
+        await fs.outputJson('node_modules/ember-source/package.json', { version: '5.4.0' });
+        await fs.outputFile('pnpm-lock.yaml', 'installedYAML: true\n');
+      }
+    );
+  }
+
+  describe('#install', () => {
+    it('installs and saves `node_modules` and the lockfile on the first run', async () => {
+      await install();
+
+      let [entry] = await cache.list();
+
+      expect(installCount).to.equal(1);
+      expect(entry).to.include({
+        scenario: 'ember-lts-5.4',
+        packageManager: 'pnpm',
+        packageManagerVersion: '8.15.1',
+        nodeVersion: process.version,
+      });
+      expect(entry.files).to.deep.equal(['node_modules', 'pnpm-lock.yaml']);
+      expect(
+        await fs.readJson(
+          path.join(cache.directory, entry.key, 'node_modules/ember-source/package.json')
+        )
+      ).to.deep.equal({ version: '5.4.0' });
+    });
+
+    it('restores from the cache instead of installing again', async () => {
+      await install();
+
+      await fs.remove('node_modules');
+      await fs.outputJson('node_modules/leftover/package.json', {});
+      await fs.outputFile('pnpm-lock.yaml', 'originalYAML: true\n');
+
+      await install();
+
+      expect(installCount).to.equal(1);
+      expect(await fs.readJson('node_modules/ember-source/package.json')).to.deep.equal({
+        version: '5.4.0',
+      });
+      expect(fs.existsSync('node_modules/leftover')).to.be.false;
+      expect(await fs.readFile('pnpm-lock.yaml', 'utf-8')).to.equal('installedYAML: true\n');
+    });
+
+    it('installs again when the `package.json` changes', async () => {
+      await install();
+      await fs.outputFile('pnpm-lock.yaml', 'originalYAML: true\n');
+      await fs.outputJson('package.json', { devDependencies: { 'ember-source': '~5.8.0' } });
+
+      await install();
+
+      expect(installCount).to.equal(2);
+      expect(await cache.list()).to.have.lengthOf(2);
+    });
+
+    it('installs again when the package manager version changes', async () => {
+      await install();
+      await fs.outputFile('pnpm-lock.yaml', 'originalYAML: true\n');
+      run = generateMockRun('pnpm --version', async () => ({ stdout: '9.0.0\n' }));
+
+      await install();
+
+      expect(installCount).to.equal(2);
+    });
+
+    it('installs again when the install options change', async () => {
+      await install(['--no-lockfile']);
+      await fs.outputFile('pnpm-lock.yaml', 'originalYAML: true\n');
+
+      await install(['--no-lockfile', '--ignore-scripts']);
+
+      expect(installCount).to.equal(2);
+    });
+
+    it('installs again with another Node version, which native addons are built for', async () => {
+      let version = Object.getOwnPropertyDescriptor(process, 'version');
+
+      await install();
+      await fs.outputFile('pnpm-lock.yaml', 'originalYAML: true\n');
+
+      try {
+        Object.defineProperty(process, 'version', Object.assign({}, version, { value: 'v22.0.0' }));
+        await install();
+      } finally {
+        Object.defineProperty(process, 'version', version);
+      }
+
+      expect(installCount).to.equal(2);
+    });
+
+    it('ignores entries that were not completely written', async () => {
+      await install();
+      let [entry] = await cache.list();
+      await fs.remove(path.join(cache.directory, entry.key, 'ember-try-cache.json'));
+      await fs.outputFile('pnpm-lock.yaml', 'originalYAML: true\n');
+
+      await install();
+
+      expect(installCount).to.equal(2);
+    });
+  });
+
+  describe('#prune', () => {
+    it('removes the entries that were not used within `maxAge`', async () => {
+      await install();
+      let [entry] = await cache.list();
+      let metadataFile = path.join(cache.directory, entry.key, 'ember-try-cache.json');
+      await fs.writeJson(
+        metadataFile,
+        Object.assign(await fs.readJson(metadataFile), { lastUsedAt: '2020-01-01T00:00:00.000Z' })
+      );
+
+      expect(await cache.prune({ maxAge: 24 * 60 * 60 * 1000 })).to.have.lengthOf(1);
+      expect(await cache.list()).to.deep.equal([]);
+    });
+
+    it('keeps recently used entries', async () => {
+      await install();
+
+      expect(await cache.prune({ maxAge: 24 * 60 * 60 * 1000 })).to.deep.equal([]);
+      expect(await cache.list()).to.have.lengthOf(1);
+    });
+  });
+
+  describe('#clear', () => {
+    it('removes every entry', async () => {
+      await install();
+
+      expect(await cache.clear()).to.have.lengthOf(1);
+      expect(fs.existsSync(cache.directory)).to.be.false;
+    });
+  });
+
+  describe('.fromConfig', () => {
+    it('is only created when `cache` is set', () => {
+      expect(ScenarioCache.fromConfig({}, tmpdir)).to.be.undefined;
+      expect(ScenarioCache.fromConfig({ cache: true }, tmpdir).directory).to.equal(
+        path.join(tmpdir, '.ember-try-cache')
+      );
+      expect(
+        ScenarioCache.fromConfig({ cache: { directory: '../shared-cache' } }, tmpdir).directory
+      ).to.equal(path.resolve(tmpdir, '../shared-cache'));
+    });
+  });
+});
@@ -56,6 +56,52 @@ describe('scenarioManager', () => {
         expect(results).to.eql(['a', 'b', 'r', 'u', 'q', 'a']);
       });
     });
+
+    it('allows managers that return nothing', async () => {
+      let fakeAdapters = [
+        new CoreObject({
+          configKey: 'assets',
+          async changeToDependencySet() {},
+        }),
+        new CoreObject({
+          configKey: 'adapterB',
+          changeToDependencySet() {
+            return RSVP.resolve(['u']);
+          },
+        }),
+      ];
+
+      let manager = new ScenarioManager({ dependencyManagerAdapters: fakeAdapters });
+
+      expect(await manager.changeTo({ assets: {}, adapterB: {} })).to.eql(['u']);
+    });
+  });
+
+  describe('#changesFor', () => {
+    it('collects the planned changes of the managers that support it', async () => {
+      let fakeAdapters = [
+        new CoreObject({
+          configKey: 'adapterA',
+          changesForDependencySet(depSet) {
+            return [{ file: 'a.json', before: '{}', after: JSON.stringify(depSet) }];
+          },
+        }),
+        new CoreObject({
+          configKey: 'adapterB',
+        }),
+        new CoreObject({
+          configKey: 'adapterC',
+          changesForDependencySet() {
+            throw new Error('should not be called without config for this adapter');
+          },
+        }),
+      ];
+
+      let manager = new ScenarioManager({ dependencyManagerAdapters: fakeAdapters });
+      let changes = await manager.changesFor({ adapterA: { foo: 'bar' }, adapterB: {} });
+
+      expect(changes).to.eql([{ file: 'a.json', before: '{}', after: '{"foo":"bar"}' }]);
+    });
   });
 
   describe('#cleanup', () => {
@@ -0,0 +1,206 @@
+'use strict';
+
+const expect = require('chai').expect;
+const validateConfig = require('../../lib/utils/validate-config');
+
+function errorFor(config) {
+  try {
+    validateConfig(config);
+  } catch (e) {
+    return e.message;
+  }
+}
+
+describe('utils/validate-config', () => {
+  it('accepts a valid config', () => {
+    let config = {
+      command: 'ember test',
+      useYarn: true,
+      npmOptions: ['--ignore-scripts'],
+      buildManagerOptions() {
+        return [];
+      },
+      scenarios: [
+        {
+          name: 'ember-lts',
+          allowedToFail: false,
+          env: { FOO: 'bar' },
+          npm: {
+            devDependencies: { 'ember-source': '~4.12.0', 'ember-data': null },
+            ember: { edition: 'octane' },
+          },
+        },
+      ],
+    };
+
+    expect(validateConfig(config)).to.equal(config);
+  });
+
+  it('reports unknown keys with suggestions', () => {
+    let message = errorFor({
+      useYarm: true,
+      scenarios: [
+        { name: 'first', allowToFail: true },
+        { name: 'second', npm: { devDependancies: {} } },
+        { name: 'third', somethingElse: true },
+      ],
+    });
+
+    expect(message).to.include('Invalid ember-try configuration:');
+    expect(message).to.include('  - Unknown key `useYarm`, did you mean `useYarn`?');
+    expect(message).to.include(
+      '  - Unknown key `scenarios[0].allowToFail`, did you mean `allowedToFail`?'
+    );
+    expect(message).to.include(
+      '  - Unknown key `scenarios[1].npm.devDependancies`, did you mean `devDependencies`?'
+    );
+    expect(message).to.match(/ {2}- Unknown key `scenarios\[2\]\.somethingElse`$/);
+  });
+
+  it('reports wrong types', () => {
+    let message = errorFor({
+      useYarn: 'true',
+      scenarios: [{ name: 'first', env: 'FOO=bar', npm: { devDependencies: { foo: 1 } } }],
+    });
+
+    expect(message).to.include('`useYarn` must be of type boolean, got string');
+    expect(message).to.include('`scenarios[0].env` must be of type object, got string');
+    expect(message).to.include(
+      '`scenarios[0].npm.devDependencies.foo` must be a version string or null, got number'
+    );
+  });
+
+  it('reports scenarios without a name', () => {
+    expect(errorFor({ scenarios: [{ name: 'first' }, { npm: {} }] })).to.include(
+      '`scenarios[1]` is missing a `name`'
+    );
+  });
+
+  it('reports duplicate scenario names', () => {
+    expect(
+      errorFor({ scenarios: [{ name: 'first' }, { name: 'second' }, { name: 'first' }] })
+    ).to.include('`scenarios[2]` has the same name "first" as `scenarios[0]`');
+  });
+
+  it('checks the dependency sets of workspace packages', () => {
+    expect(
+      errorFor({
+        scenarios: [
+          { name: 'first', npm: { workspaces: ['test-app'] } },
+          { name: 'second', npm: { workspaces: { 'test-app': { devDependencies: {} } } } },
+        ],
+      })
+    ).to.be.undefined;
+
+    let message = errorFor({
+      scenarios: [
+        {
+          name: 'first',
+          npm: {
+            workspaces: {
+              'test-app': { devDependancies: {}, dependencies: { foo: 1 } },
+              docs: true,
+            },
+          },
+        },
+        { name: 'second', npm: { workspaces: 'test-app' } },
+      ],
+    });
+
+    expect(message).to.include(
+      'Unknown key `scenarios[0].npm.workspaces.test-app.devDependancies`, did you mean `devDependencies`?'
+    );
+    expect(message).to.include(
+      '`scenarios[0].npm.workspaces.test-app.dependencies.foo` must be a version string or null, got number'
+    );
+    expect(message).to.include(
+      '`scenarios[0].npm.workspaces.docs` must be of type object, got boolean'
+    );
+    expect(message).to.include(
+      '`scenarios[1].npm.workspaces` must be of type array or object, got string'
+    );
+  });
+
+  it('accepts the config keys of custom adapters in scenarios', () => {
+    let config = {
+      adapters: [{ configKey: 'assets' }],
+      scenarios: [{ name: 'first', assets: 'v2' }],
+    };
+
+    expect(validateConfig(config)).to.equal(config);
+
+    let message = errorFor({
+      adapters: [{ setup() {} }, 42],
+      scenarios: [{ name: 'first', assets: 'v2' }],
+    });
+
+    expect(message).to.include('`adapters[0]` is missing a `configKey`');
+    expect(message).to.include(
+      '`adapters[1]` must be a module path, an object or a class, got number'
+    );
+    expect(message).to.include('Unknown key `scenarios[0].assets`');
+  });
+
+  it('checks global and scenario hooks', () => {
+    let message = errorFor({
+      hooks: { beforeAll: 'npm run build', afterEch: 'rm -rf dist' },
+      scenarios: [{ name: 'first', hooks: { beforeAll: 'npm run build', afterEach: 42 } }],
+    });
+
+    expect(message).to.include('Unknown key `hooks.afterEch`, did you mean `afterEach`?');
+    expect(message).to.include('Unknown key `scenarios[0].hooks.beforeAll`');
+    expect(message).to.include(
+      '`scenarios[0].hooks.afterEach` must be of type string or function, got number'
+    );
+    expect(message).to.not.include('`hooks.beforeAll`');
+  });
+
+  it('checks command steps', () => {
+    let config = {
+      command: ['lint', { name: 'test:ember', command: 'ember test' }],
+      continueOnStepFailure: true,
+      scenarios: [{ name: 'first', command: ['ember test'], continueOnStepFailure: false }],
+    };
+
+    expect(validateConfig(config)).to.equal(config);
+
+    let message = errorFor({
+      command: [{ name: 'lint' }, 42],
+      scenarios: [{ name: 'first', command: [{ command: 'ember test', nmae: 'test' }] }],
+    });
+
+    expect(message).to.include('`command[0]` is missing a `command`');
+    expect(message).to.include('`command[1]` must be of type string or object, got number');
+    expect(message).to.include('Unknown key `scenarios[0].command[0].nmae`, did you mean `name`?');
+  });
+
+  it('checks argument lists', () => {
+    let config = {
+      command: { argv: ['ember', 'test', '--filter', 'my module'] },
+      scenarios: [
+        {
+          name: 'first',
+          command: ['lint', { name: 'test:ember', command: { argv: ['ember', 'test'] } }],
+        },
+        { name: 'second', command: { argv: ['ember', 'test'] }, shell: true },
+      ],
+    };
+
+    expect(validateConfig(config)).to.equal(config);
+
+    let message = errorFor({
+      command: { args: ['ember', 'test'] },
+      scenarios: [
+        { name: 'first', command: [{ command: { argv: ['ember', 42] } }] },
+        { name: 'second', command: [] },
+      ],
+    });
+
+    expect(message).to.include('Unknown key `command.args`, did you mean `argv`?');
+    expect(message).to.include('`command` is missing an `argv`');
+    expect(message).to.include(
+      '`scenarios[0].command[0].command.argv` must be a non-empty list of strings'
+    );
+    expect(message).to.include('`scenarios[1].command` must not be empty');
+  });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const expect = require('chai').expect;
+const workspaceDependencySets = require('../../lib/utils/workspace-dependency-sets');
+
+const packages = [
+  { name: 'my-addon', path: 'addon' },
+  { name: 'test-app', path: 'test-app' },
+  { name: 'docs', path: 'packages/docs' },
+];
+
+describe('utils/workspace-dependency-sets', () => {
+  it('applies the dependency set to every package by default', () => {
+    let depSet = { devDependencies: { 'ember-source': '5.4.0' } };
+
+    expect(workspaceDependencySets(depSet, packages)).to.deep.equal(
+      packages.map((pkg) => ({ pkg, depSet }))
+    );
+  });
+
+  it('applies the dependency set to the packages listed by name or path', () => {
+    let depSet = { devDependencies: { 'ember-source': '5.4.0' }, workspaces: ['packages/docs'] };
+
+    expect(workspaceDependencySets(depSet, packages)).to.deep.equal([{ pkg: packages[2], depSet }]);
+  });
+
+  it('merges the dependency set of each listed package with the shared one', () => {
+    let depSet = {
+      devDependencies: { 'ember-source': '5.4.0', 'ember-data': '5.3.0' },
+      workspaces: {
+        'test-app': { devDependencies: { 'ember-data': null } },
+        docs: { dependencies: { 'ember-cli-babel': '8.0.0' } },
+      },
+    };
+
+    expect(workspaceDependencySets(depSet, packages)).to.deep.equal([
+      {
+        pkg: packages[1],
+        depSet: { devDependencies: { 'ember-source': '5.4.0', 'ember-data': null } },
+      },
+      {
+        pkg: packages[2],
+        depSet: {
+          dependencies: { 'ember-cli-babel': '8.0.0' },
+          devDependencies: { 'ember-source': '5.4.0', 'ember-data': '5.3.0' },
+        },
+      },
+    ]);
+  });
+
+  it('throws for unknown packages', () => {
+    expect(() => workspaceDependencySets({ workspaces: ['nope'] }, packages)).to.throw(
+      'Unknown workspace package `nope`, expected one of: my-addon, test-app, docs'
+    );
+  });
+});